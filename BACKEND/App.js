@@ -5,13 +5,23 @@ import connectDB from "./src/config/mongo.config.js";
 import redis from "./src/config/redis.config.js";
 import urlSchema from "./src/models/shorturlSchema.js";
 import short_url from "./src/routes/shortUrlRoutes.js";
-import { redirectFromShortUrl } from "./src/controller/shortUrlController.js";
+import auth_routes from "./src/routes/authRoutes.js";
+import api_key_routes from "./src/routes/apiKeyRoutes.js";
+import admin_routes from "./src/routes/adminRoutes.js";
+import domain_routes from "./src/routes/domainRoutes.js";
+import webhook_routes from "./src/routes/webhookRoutes.js";
+import { redirectFromShortUrl, unlockShortUrl, getShortUrlQrCode } from "./src/controller/shortUrlController.js";
 import { errorHandler } from "./src/utils/errorHandler.js";
 import cors from "cors";
 import compression from "compression";
 import helmet from "helmet";
 import morgan from "morgan";
 import { rateLimiter } from "./src/middleware/rateLimiter.js";
+import { flushClickEvents, getClickEventStats } from "./src/services/clickEventService.js";
+import { getWebhookStats } from "./src/services/webhookService.js";
+import { flushClickCounts, recoverClickCounts, getClickCounterStats } from "./src/services/clickCounterService.js";
+import { drainLinkOutbox, getLinkOutboxStats } from "./src/services/linkOutboxService.js";
+import { getShortCodeStats } from "./src/services/shortCodeService.js";
 import os from "os";
 import mongoose from "mongoose";
 
@@ -43,8 +53,8 @@ app.use(compression());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['https://make-url-short.vercel.app', 'http://localhost:5173', 'http://localhost:5174'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
@@ -266,7 +276,12 @@ app.get('/metrics', async (req, res) => {
       system: systemMetrics,
       cache: cacheHealth,
       circuitBreaker: cacheHealth.circuitBreaker,
-      performance: cacheHealth.performance
+      performance: cacheHealth.performance,
+      clickEvents: getClickEventStats(),
+      clickCounts: getClickCounterStats(),
+      linkOutbox: await getLinkOutboxStats(),
+      shortCodes: getShortCodeStats(),
+      webhooks: getWebhookStats()
     });
   } catch (error) {
     console.error('Metrics endpoint error:', error);
@@ -303,10 +318,19 @@ app.post('/metrics/reset', async (req, res) => {
 app.get('/', (req, res) => res.send('URL Shortener API is running!'));
 
 // API routes
-app.use("/api/create", short_url);
+app.use("/api/auth", auth_routes);
+app.use("/api/keys", api_key_routes);
+app.use("/api/admin", admin_routes);
+app.use("/api/domains", domain_routes);
+app.use("/api/webhooks", webhook_routes);
+app.use("/api", short_url);
 
-// Redirect route
+// QR code for a short link
+app.get("/:id/qr", getShortUrlQrCode);
+
+// Redirect route (`/:id+` renders the preview page instead - see redirectFromShortUrl)
 app.get("/:id", redirectFromShortUrl);
+app.post("/:id", unlockShortUrl); // Unlock form for password-protected links, "Continue" from previews
 
 // Error handling middleware
 app.use(errorHandler);
@@ -316,6 +340,8 @@ const startServer = async (port) => {
   const server = app.listen(port, '0.0.0.0', async () => {
     try {
       await connectDB();
+      // Write click counts a crashed instance left in Redis
+      recoverClickCounts().catch(err => console.error('Click count recovery failed:', err));
       console.log(`🚀 Server started on http://0.0.0.0:${port}`);
       console.log(`📊 Health check available at http://0.0.0.0:${port}/health`);
       console.log(`🔄 Rate limiting: 150 requests per second per IP`);
@@ -336,22 +362,22 @@ const startServer = async (port) => {
   return server;
 };
 
-const server = startServer(PORT);
+const server = await startServer(PORT);
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down gracefully`);
+  server.close(async () => {
+    // Persist buffered click events before exiting
+    await flushClickEvents().catch(err => console.error('Final click event flush failed:', err));
+    await flushClickCounts().catch(err => console.error('Final click count flush failed:', err));
+    // Queued link saves survive in Redis; this only gets a head start on them
+    await drainLinkOutbox().catch(err => console.error('Final link outbox drain failed:', err));
     console.log('Server terminated');
     process.exit(0);
   });
-});
+};
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('Server terminated');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 export default app;
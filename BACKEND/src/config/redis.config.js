@@ -81,6 +81,23 @@ export const checkRedisHealth = async () => {
   }
 };
 
+// Pub/sub needs a connection of its own: a subscribed client can't run other commands. ioredis
+// resubscribes after a reconnect; `onReady` runs each time, since messages sent meanwhile are lost.
+export const subscribe = (channel, onMessage, onReady) => {
+  const subscriber = redis.duplicate({ connectionName: 'url-shortener-subscriber' });
+
+  subscriber.subscribe(channel).catch(err => console.error(`Redis subscribe to ${channel} failed:`, err.message));
+  if (onReady) subscriber.on('ready', onReady);
+  subscriber.on('message', (messageChannel, message) => {
+    if (messageChannel === channel) onMessage(message);
+  });
+  subscriber.on('error', (err) => {
+    console.error('❌ Redis subscriber error:', err.message);
+  });
+
+  return subscriber;
+};
+
 // Cache utility functions with Redis availability check
 export const cacheService = {
   // Ping Redis to check connectivity
@@ -106,6 +123,45 @@ export const cacheService = {
     }
   },
 
+  // Cached data plus its remaining lifetime: { value, ttlMs }, or null when missing
+  async getWithTtl(key) {
+    if (!redisAvailable) return null;
+    try {
+      const [[, data], [, ttlMs]] = await redis.pipeline().get(key).pttl(key).exec();
+      return data ? { value: JSON.parse(data), ttlMs } : null;
+    } catch (error) {
+      console.error('Cache get error:', error);
+      return null;
+    }
+  },
+
+  // Take a short-lived lock: true when this caller now holds it under `token`, false when someone
+  // else does, null when Redis can't tell
+  async acquireLock(key, token, ttlMs) {
+    if (!redisAvailable) return null;
+    try {
+      return (await redis.set(key, token, 'PX', ttlMs, 'NX')) === 'OK';
+    } catch (error) {
+      console.error('Cache lock error:', error);
+      return null;
+    }
+  },
+
+  // Release a lock only if it is still ours (it may have expired and been taken by someone else)
+  async releaseLock(key, token) {
+    if (!redisAvailable) return false;
+    try {
+      const released = await redis.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        1, key, token
+      );
+      return released === 1;
+    } catch (error) {
+      console.error('Cache unlock error:', error);
+      return false;
+    }
+  },
+
   // Set cache with TTL (Time To Live)
   async set(key, value, ttlSeconds = 3600) {
     if (!redisAvailable) return false;
@@ -130,12 +186,12 @@ export const cacheService = {
     }
   },
 
-  // Increment counter (for analytics)
+  // Increment counter (for analytics); a null TTL keeps the counter forever
   async incr(key, ttlSeconds = 86400) {
     if (!redisAvailable) return 0;
     try {
       const result = await redis.incr(key);
-      if (result === 1) {
+      if (result === 1 && ttlSeconds) {
         await redis.expire(key, ttlSeconds);
       }
       return result;
@@ -157,6 +213,236 @@ export const cacheService = {
     }
   },
 
+  // Increment a sorted-set member (leaderboards), optionally refreshing the key's TTL
+  async zincrby(key, increment, member, ttlSeconds) {
+    if (!redisAvailable) return null;
+    try {
+      const pipeline = redis.pipeline().zincrby(key, increment, member);
+      if (ttlSeconds) pipeline.expire(key, ttlSeconds);
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      console.error('Cache zincrby error:', error);
+      return null;
+    }
+  },
+
+  // Sum several sorted sets into `destination`, which expires after ttlSeconds
+  async zunionstore(destination, keys, ttlSeconds) {
+    if (!redisAvailable || keys.length === 0) return 0;
+    try {
+      const [[, count]] = await redis.pipeline()
+        .zunionstore(destination, keys.length, ...keys)
+        .expire(destination, ttlSeconds)
+        .exec();
+      return count;
+    } catch (error) {
+      console.error('Cache zunionstore error:', error);
+      return 0;
+    }
+  },
+
+  // Raise members' scores to at least the given ones (ZADD GT): higher scores already there are kept
+  async zaddGreater(key, entries) {
+    if (!redisAvailable || entries.length === 0) return false;
+    try {
+      await redis.zadd(key, 'GT', ...entries.flatMap(({ member, score }) => [score, member]));
+      return true;
+    } catch (error) {
+      console.error('Cache zadd error:', error);
+      return false;
+    }
+  },
+
+  // Highest-scored members first, as [{ member, score }]
+  async zrevrangeWithScores(key, start, stop) {
+    if (!redisAvailable) return [];
+    try {
+      const flat = await redis.zrevrange(key, start, stop, 'WITHSCORES');
+      const entries = [];
+      for (let i = 0; i < flat.length; i += 2) {
+        entries.push({ member: flat[i], score: Number(flat[i + 1]) });
+      }
+      return entries;
+    } catch (error) {
+      console.error('Cache zrevrange error:', error);
+      return [];
+    }
+  },
+
+  // Add to a hash field; null when Redis is unavailable so callers can keep the count elsewhere
+  async hincrby(key, field, increment) {
+    if (!redisAvailable) return null;
+    try {
+      return await redis.hincrby(key, field, increment);
+    } catch (error) {
+      console.error('Cache hincrby error:', error);
+      return null;
+    }
+  },
+
+  // All fields of a hash ({} when it doesn't exist); null on error
+  async hgetall(key) {
+    if (!redisAvailable) return null;
+    try {
+      return await redis.hgetall(key);
+    } catch (error) {
+      console.error('Cache hgetall error:', error);
+      return null;
+    }
+  },
+
+  async hdel(key, fields) {
+    if (!redisAvailable || fields.length === 0) return 0;
+    try {
+      return await redis.hdel(key, ...fields);
+    } catch (error) {
+      console.error('Cache hdel error:', error);
+      return 0;
+    }
+  },
+
+  async hset(key, field, value) {
+    if (!redisAvailable) return false;
+    try {
+      await redis.hset(key, field, value);
+      return true;
+    } catch (error) {
+      console.error('Cache hset error:', error);
+      return false;
+    }
+  },
+
+  // Set a hash field only if it isn't set yet; true when this call set it
+  async hsetnx(key, field, value) {
+    if (!redisAvailable) return false;
+    try {
+      return (await redis.hsetnx(key, field, value)) === 1;
+    } catch (error) {
+      console.error('Cache hsetnx error:', error);
+      return false;
+    }
+  },
+
+  async hget(key, field) {
+    if (!redisAvailable) return null;
+    try {
+      return await redis.hget(key, field);
+    } catch (error) {
+      console.error('Cache hget error:', error);
+      return null;
+    }
+  },
+
+  // Add a raw string to the head of a list; the new length, or null when it couldn't be stored
+  async lpush(key, value) {
+    if (!redisAvailable) return null;
+    try {
+      return await redis.lpush(key, value);
+    } catch (error) {
+      console.error('Cache lpush error:', error);
+      return null;
+    }
+  },
+
+  // Append a raw string to a list; the new length, or null when it couldn't be stored
+  async rpush(key, value) {
+    if (!redisAvailable) return null;
+    try {
+      return await redis.rpush(key, value);
+    } catch (error) {
+      console.error('Cache rpush error:', error);
+      return null;
+    }
+  },
+
+  // Atomically move the last element of `source` to the head of `destination`; null when empty
+  async rpoplpush(source, destination) {
+    if (!redisAvailable) return null;
+    try {
+      return await redis.rpoplpush(source, destination);
+    } catch (error) {
+      console.error('Cache rpoplpush error:', error);
+      return null;
+    }
+  },
+
+  // Remove `count` occurrences of `value` (negative counts search from the tail); the number removed
+  async lrem(key, count, value) {
+    if (!redisAvailable) return 0;
+    try {
+      return await redis.lrem(key, count, value);
+    } catch (error) {
+      console.error('Cache lrem error:', error);
+      return 0;
+    }
+  },
+
+  async lrange(key, start, stop) {
+    if (!redisAvailable) return [];
+    try {
+      return await redis.lrange(key, start, stop);
+    } catch (error) {
+      console.error('Cache lrange error:', error);
+      return [];
+    }
+  },
+
+  // List length; null when Redis is unavailable
+  async llen(key) {
+    if (!redisAvailable) return null;
+    try {
+      return await redis.llen(key);
+    } catch (error) {
+      console.error('Cache llen error:', error);
+      return null;
+    }
+  },
+
+  // Broadcast to every instance subscribed to `channel`
+  async publish(channel, message) {
+    if (!redisAvailable) return false;
+    try {
+      await redis.publish(channel, message);
+      return true;
+    } catch (error) {
+      console.error('Cache publish error:', error);
+      return false;
+    }
+  },
+
+  // Atomically move `key` to `newKey`; false when `key` doesn't exist (or another client moved it first)
+  async rename(key, newKey) {
+    if (!redisAvailable) return false;
+    try {
+      await redis.rename(key, newKey);
+      return true;
+    } catch (error) {
+      if (!/no such key/i.test(error.message)) {
+        console.error('Cache rename error:', error);
+      }
+      return false;
+    }
+  },
+
+  // Keys matching a glob pattern, via SCAN so Redis isn't blocked
+  async scanKeys(pattern) {
+    if (!redisAvailable) return [];
+    try {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+        cursor = next;
+        keys.push(...batch);
+      } while (cursor !== '0');
+      return keys;
+    } catch (error) {
+      console.error('Cache scan error:', error);
+      return [];
+    }
+  },
+
   // Check if key existsclear
 
   async exists(key) {
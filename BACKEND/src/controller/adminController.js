@@ -0,0 +1,35 @@
+import wrapAsync from "../utils/tryCatchWrapper.js";
+import { listRules, addRule, removeRule } from "../services/domainRuleService.js";
+import { listRegisteredDomains, registerDomain, removeDomain } from "../services/domainService.js";
+
+export const listDomainRules=wrapAsync(async (req,res)=>{
+    const result = await listRules();
+    res.json(result);
+})
+
+export const createDomainRule=wrapAsync(async (req,res)=>{
+    const { type, matchType, pattern, note } = req.body || {};
+    const rule = await addRule(req.user.id, { type, matchType, pattern, note });
+    res.status(201).json({ rule });
+})
+
+export const deleteDomainRule=wrapAsync(async (req,res)=>{
+    await removeRule(req.params.ruleId);
+    res.status(204).end();
+})
+
+export const listDomains=wrapAsync(async (req,res)=>{
+    const result = await listRegisteredDomains();
+    res.json(result);
+})
+
+export const createDomain=wrapAsync(async (req,res)=>{
+    const { hostname, owner } = req.body || {};
+    const domain = await registerDomain(req.user.id, { hostname, owner });
+    res.status(201).json({ domain });
+})
+
+export const deleteDomain=wrapAsync(async (req,res)=>{
+    await removeDomain(req.params.domainId);
+    res.status(204).end();
+})
@@ -0,0 +1,18 @@
+import wrapAsync from "../utils/tryCatchWrapper.js";
+import { generateApiKey, listApiKeys, revokeUserApiKey } from "../services/apiKeyService.js";
+
+export const createKey=wrapAsync(async (req,res)=>{
+    const { name, scopes } = req.body || {};
+    const apiKey = await generateApiKey(req.user.id, { name, scopes });
+    res.status(201).json({ apiKey });
+})
+
+export const listKeys=wrapAsync(async (req,res)=>{
+    const apiKeys = await listApiKeys(req.user.id);
+    res.json({ apiKeys });
+})
+
+export const revokeKey=wrapAsync(async (req,res)=>{
+    const apiKey = await revokeUserApiKey(req.user.id, req.params.keyId);
+    res.json({ apiKey });
+})
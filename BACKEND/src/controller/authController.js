@@ -0,0 +1,37 @@
+import wrapAsync from "../utils/tryCatchWrapper.js";
+import { registerUser, loginUser, refreshSession, logoutUser, getUserProfile, updateUserProfile } from "../services/authService.js";
+
+export const register=wrapAsync(async (req,res)=>{
+    const { email, password, name } = req.body || {};
+    const session = await registerUser({ email, password, name });
+    res.status(201).json(session);
+})
+
+export const login=wrapAsync(async (req,res)=>{
+    const { email, password } = req.body || {};
+    const session = await loginUser({ email, password });
+    res.json(session);
+})
+
+export const refresh=wrapAsync(async (req,res)=>{
+    const { refreshToken } = req.body || {};
+    const session = await refreshSession(refreshToken);
+    res.json(session);
+})
+
+export const logout=wrapAsync(async (req,res)=>{
+    const { refreshToken } = req.body || {};
+    await logoutUser(refreshToken);
+    res.status(204).end();
+})
+
+export const me=wrapAsync(async (req,res)=>{
+    const user = await getUserProfile(req.user.id);
+    res.json({ user });
+})
+
+export const updateMe=wrapAsync(async (req,res)=>{
+    const { name, dedupeLinks } = req.body || {};
+    const user = await updateUserProfile(req.user.id, { name, dedupeLinks });
+    res.json({ user });
+})
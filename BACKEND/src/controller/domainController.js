@@ -0,0 +1,13 @@
+import wrapAsync from "../utils/tryCatchWrapper.js";
+import { listAvailableDomains, setDefaultDomain } from "../services/domainService.js";
+
+export const listMyDomains=wrapAsync(async (req,res)=>{
+    const result = await listAvailableDomains(req.user);
+    res.json(result);
+})
+
+export const updateDefaultDomain=wrapAsync(async (req,res)=>{
+    const { domain } = req.body || {};
+    const result = await setDefaultDomain(req.user, domain);
+    res.json(result);
+})
@@ -0,0 +1,71 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import wrapAsync from "../utils/tryCatchWrapper.js";
+import { listLinks, getLink, updateLink, deleteLink } from "../services/linkService.js";
+import { getLinkStats, getPopularLinks } from "../services/analyticsService.js";
+import { exportLinks, validateExportOptions } from "../services/exportService.js";
+
+export const listUserLinks=wrapAsync(async (req,res)=>{
+    const { page, limit, sort, order, all, domain } = req.query;
+    const result = await listLinks(req.user, { page, limit, sort, order, all: all === 'true', domain });
+    res.json(result);
+})
+
+export const getUserLink=wrapAsync(async (req,res)=>{
+    const link = await getLink(req.user, req.params.shortId, { domain: req.query.domain });
+    res.json({ link });
+})
+
+export const updateUserLink=wrapAsync(async (req,res)=>{
+    const link = await updateLink(req.user, req.params.shortId, req.body || {}, { domain: req.query.domain });
+    res.json({ link });
+})
+
+export const deleteUserLink=wrapAsync(async (req,res)=>{
+    await deleteLink(req.user, req.params.shortId, { domain: req.query.domain });
+    res.status(204).end();
+})
+
+export const getUserLinkStats=wrapAsync(async (req,res)=>{
+    const { from, to, interval, domain } = req.query;
+    const stats = await getLinkStats(req.user, req.params.shortId, { from, to, interval, domain });
+    res.json(stats);
+})
+
+export const getPopular=wrapAsync(async (req,res)=>{
+    const { window, limit } = req.query;
+    const popular = await getPopularLinks({ window, limit });
+    res.json(popular);
+})
+
+export const exportUserLinks=wrapAsync(async (req,res)=>{
+    const { format = 'csv', stats, all } = req.query;
+    const { contentType, extension } = validateExportOptions({ format });
+    const chunks = exportLinks(req.user, { format, withStats: stats === 'true', all: all === 'true' });
+
+    // Pull the first chunk before committing to a 200 so setup errors still reach the error handler
+    const first = await chunks.next();
+
+    res.status(200).set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="links-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    async function* body() {
+        if (first.done) return;
+        yield first.value;
+        yield* chunks;
+    }
+
+    try {
+        // pipeline handles backpressure and closes the cursor if the client disconnects
+        await pipeline(Readable.from(body()), res);
+    } catch (error) {
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error('Export stream failed:', error);
+            // The 200 is already sent; abort the connection so the client doesn't take a truncated file as complete
+            res.destroy(error);
+        }
+    }
+})
@@ -1,14 +1,178 @@
 import { getShortUrl } from "../dao/shortUrl.js";
-import {  createShortUrlWithoutUser } from "../services/shorturlService.js";
+import { createShortUrlWithoutUser, createShortUrlWithUser, findExistingShortUrl } from "../services/shorturlService.js";
+import { getLinkPreferences } from "../services/authService.js";
 import { urlCacheService } from "../services/cacheService.js";
+import { buildPasswordFields, verifyLinkPassword, toPublicLink } from "../services/linkService.js";
+import { recordClickEvent } from "../services/clickEventService.js";
+import { parseBulkInput, createShortUrlsInBulk } from "../services/bulkService.js";
+import { parseQrOptions, renderQrCode } from "../services/qrService.js";
+import { checkDestination } from "../services/domainRuleService.js";
+import { resolveLinkDomain, resolveRequestDomain } from "../services/domainService.js";
+import { emitWebhookEvent } from "../services/webhookService.js";
 import wrapAsync from "../utils/tryCatchWrapper.js";
-import { validateCustomShortId } from "../utils/helper.js";
+import {
+    validateCustomShortId,
+    validateExpiryOptions,
+    validateLinkPassword,
+    validateRedirectOptions,
+    buildShortUrl,
+    linkKey
+} from "../utils/helper.js";
+import { renderUnlockPage, renderPreviewPage, PAGE_CONTENT_SECURITY_POLICY } from "../utils/pages.js";
+import { validateUrl, isSafeRedirectUrl, appendQueryParams } from "../utils/url.js";
+import { validateTargets, selectTarget, getVisitorContext } from "../utils/targeting.js";
+import { validateVariants, pickVariant } from "../utils/variants.js";
 
-export const createShortUrl=wrapAsync(async (req,res)=>{
-    const {url, customShortId}=req.body;
+// Failed unlock attempts per IP and link: 5 straight away, then one every 12 seconds
+const UNLOCK_RATE_LIMIT = { sustainedRps: 5 / 60, burstCapacity: 5 };
+// ...and per link from all clients together, since req.ip comes from X-Forwarded-For and can be rotated
+const UNLOCK_LINK_RATE_LIMIT = { sustainedRps: 20 / 60, burstCapacity: 30 };
+const VARIANT_COOKIE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Query string the visitor sent to the short URL, e.g. "?utm_source=x" ('' when there is none)
+const incomingQuery = (req) => {
+    const queryStart = req.originalUrl.indexOf('?');
+    return queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+};
+
+// Hostname from the Host header. req.hostname would honour X-Forwarded-Host (trust proxy is on),
+// letting any client choose which domain's codes a request resolves in.
+const requestHostname = (req) => {
+    const host = req.get('host');
+    if (!host) return null;
+    try {
+        return new URL(`http://${host}`).hostname;
+    } catch {
+        return null;
+    }
+};
+
+// Value of one cookie from the raw Cookie header (the app doesn't use cookie-parser)
+const readCookie = (req, name) => {
+    for (const part of (req.get('cookie') || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator !== -1 && part.slice(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(separator + 1).trim());
+            } catch {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+// A/B links: the visitor's variant, kept in a per-link cookie so returning visitors see the same page
+const chooseVariant = (req, res, shortId, url) => {
+    const cookieName = `mus_v_${shortId}`;
+    const variant = pickVariant(url.variants, readCookie(req, cookieName));
+    res.cookie(cookieName, variant.name, {
+        maxAge: VARIANT_COOKIE_MAX_AGE_MS,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        path: '/' // A narrower path would miss `/code+` previews
+    });
+    res.vary('Cookie');
+    return variant;
+};
+
+// Where to send the visitor: the first targeting rule matching them, else their A/B variant, else
+// full_url - plus their query parameters for links that forward them. Rules and variants come with
+// the cached link, so this stays in memory. `variant` is the variant name served, if any.
+const resolveDestination = (req, res, shortId, url) => {
+    const target = selectTarget(url.targets, getVisitorContext(req));
+    const variant = !target && url.variants?.length ? chooseVariant(req, res, shortId, url) : null;
+    const base = target ?? variant?.url ?? url.full_url;
+    return {
+        destination: url.forwardQuery ? appendQueryParams(base, incomingQuery(req)) : base,
+        variant: variant?.name ?? null
+    };
+};
+
+// Unlock and preview pages: never cached, and served with a policy that lets their forms lead off-site
+const sendPage = (res, status, html) => res.status(status)
+    .set({ 'Cache-Control': 'no-store', 'Content-Security-Policy': PAGE_CONTENT_SECURITY_POLICY })
+    .type('html')
+    .send(html);
+
+// Buffer the click for analytics and notify the owner's webhooks - neither delays the redirect
+const trackClick = (req, shortId, domain, url, variant, destination) => {
+    const click = recordClickEvent(req, shortId, domain, variant);
+    emitWebhookEvent('link.clicked', url.user, {
+        link: { shortId, domain, shortUrl: buildShortUrl(shortId, domain) },
+        click: {
+            timestamp: click?.timestamp ?? new Date(),
+            destination,
+            variant,
+            referrer: click?.referrer ?? null,
+            browser: click?.browser ?? null,
+            os: click?.os ?? null,
+            device: click?.device ?? null
+        }
+    });
+};
+
+// 410 for a link past its expiry date or click limit; the link.expired webhook fires once per link
+const sendExpired = (res, shortId, domain, url) => {
+    const pastDate = !!url.expiresAt && new Date(url.expiresAt).getTime() <= Date.now();
+    emitWebhookEvent('link.expired', url.user, {
+        link: {
+            shortId,
+            domain,
+            shortUrl: buildShortUrl(shortId, domain),
+            originalUrl: url.full_url,
+            expiresAt: url.expiresAt ?? null,
+            maxClicks: url.maxClicks ?? null
+        },
+        reason: pastDate ? 'expiresAt' : 'maxClicks'
+    });
+    return res.status(410).json({ error: "Short URL has expired" });
+};
+
+const sendPreviewPage = (req, res, shortId, url) => sendPage(res, 200,
+    renderPreviewPage({
+        shortId,
+        destination: resolveDestination(req, res, shortId, url).destination,
+        createdAt: url.createdAt,
+        clicks: url.clicks,
+        isProtected: !!url.isProtected,
+        search: incomingQuery(req)
+    })
+);
+
+// `/abc+` - where a link goes, without following it or counting a click
+const showLinkPreview = async (req, res, shortId, domain) => {
+    const url = await urlCacheService.lookupShortUrl(shortId, domain);
 
     if (!url) {
-        return res.status(400).json({ error: 'URL is required' });
+        return res.status(404).json({ error: "Short URL not found" });
+    }
+
+    if (url.expired) {
+        return sendExpired(res, shortId, domain, url);
+    }
+
+    return sendPreviewPage(req, res, shortId, url);
+};
+
+export const createShortUrl=wrapAsync(async (req,res)=>{
+    const {
+        url, customShortId, expiresAt, maxClicks, password, forcePreview, targets, variants,
+        redirectType, forwardQuery, dedupe, domain: requestedDomain
+    }=req.body;
+
+    // Only well-formed http(s) destinations, stored in canonical form
+    const urlValidation = validateUrl(url);
+    if (!urlValidation.valid) {
+        return res.status(400).json({ error: urlValidation.error });
+    }
+    const destination = urlValidation.url;
+
+    // Admin-managed blocklist / allowlist
+    const destinationCheck = await checkDestination(destination);
+    if (!destinationCheck.allowed) {
+        return res.status(403).json({ error: destinationCheck.reason });
     }
 
     // Validate custom short ID if provided
@@ -19,39 +183,291 @@ export const createShortUrl=wrapAsync(async (req,res)=>{
         }
     }
 
-    // Create short URL (service already has proper timeout + retries)
-    const shortUrl = await createShortUrlWithoutUser(url, customShortId);
+    // Optional expiry by date and/or click count
+    const expiry = validateExpiryOptions({ expiresAt: expiresAt ?? undefined, maxClicks: maxClicks ?? undefined });
+    if (!expiry.valid) {
+        return res.status(400).json({ error: expiry.error });
+    }
+    const options = expiry.value;
+
+    // Optional password - stored as a bcrypt hash
+    if (password !== undefined && password !== null) {
+        const passwordValidation = validateLinkPassword(password);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+        Object.assign(options, await buildPasswordFields(password));
+    }
+    // Optional per-visitor destinations, each checked like the main one
+    if (targets !== undefined && targets !== null) {
+        const targetValidation = validateTargets(targets);
+        if (!targetValidation.valid) {
+            return res.status(400).json({ error: targetValidation.error });
+        }
+        for (const target of targetValidation.value) {
+            const targetCheck = await checkDestination(target.url);
+            if (!targetCheck.allowed) {
+                return res.status(403).json({ error: `${target.url}: ${targetCheck.reason}` });
+            }
+        }
+        if (targetValidation.value.length > 0) {
+            options.targets = targetValidation.value;
+        }
+    }
+
+    // Optional weighted A/B split over several destinations
+    if (variants !== undefined && variants !== null) {
+        const variantValidation = validateVariants(variants);
+        if (!variantValidation.valid) {
+            return res.status(400).json({ error: variantValidation.error });
+        }
+        for (const variant of variantValidation.value) {
+            const variantCheck = await checkDestination(variant.url);
+            if (!variantCheck.allowed) {
+                return res.status(403).json({ error: `${variant.url}: ${variantCheck.reason}` });
+            }
+        }
+        options.variants = variantValidation.value;
+    }
 
-    const BASE_URL =  process.env.APP_URL?.endsWith('/') 
-                 ? process.env.APP_URL 
-                 : process.env.APP_URL + '/';
-    const fullShortUrl = `${BASE_URL}${shortUrl}`;
+    // Optional redirect status and query-string forwarding
+    const redirect = validateRedirectOptions({ redirectType, forwardQuery });
+    if (!redirect.valid) {
+        return res.status(400).json({ error: redirect.error });
+    }
+    Object.assign(options, redirect.value);
+
+    // Optionally show the preview page on every click
+    if (forcePreview !== undefined && typeof forcePreview !== 'boolean') {
+        return res.status(400).json({ error: "forcePreview must be a boolean" });
+    }
+    if (forcePreview) {
+        options.forcePreview = true;
+    }
+
+    // Never cache or echo the hash
+    const { password: _passwordHash, ...publicOptions } = options;
+
+    // Account defaults for logged-in callers; the code lives on the requested domain, else the account's default
+    const preferences = req.user
+        ? await getLinkPreferences(req.user.id)
+        : { dedupeLinks: false, defaultDomain: null };
+    const domain = await resolveLinkDomain(req.user, requestedDomain, preferences.defaultDomain);
+
+    // Dedupe mode (per request, else the account default): hand back an existing plain link for this URL.
+    // Custom aliases and links with limits, a password, a forced preview, targeting, variants or redirect settings always get a new entry.
+    const wantsDedupe = dedupe !== undefined ? dedupe === true : preferences.dedupeLinks;
+    if (wantsDedupe && !customShortId && Object.keys(options).length === 0) {
+        const existing = await findExistingShortUrl(destination, req.user?.id, domain);
+        if (existing) {
+            return res.json({
+                shortUrl: buildShortUrl(existing, domain),
+                originalUrl: destination,
+                domain,
+                custom: false,
+                deduplicated: true
+            });
+        }
+    }
+
+    // Create short URL (service already has proper timeout + retries); tie it to the account when authenticated
+    const shortUrl = req.user
+        ? await createShortUrlWithUser(destination, req.user.id, customShortId, { ...options, domain })
+        : await createShortUrlWithoutUser(destination, customShortId, { ...options, domain });
+
+    const fullShortUrl = buildShortUrl(shortUrl, domain);
 
     // Cache asynchronously (fire and forget)
-    const urlData = { full_url: url, short_url: shortUrl, clicks: 0 };
+    const urlData = { ...publicOptions, full_url: destination, short_url: shortUrl, domain, clicks: 0, user: req.user?.id, custom: !!customShortId };
     urlCacheService.cacheNewUrl(shortUrl, urlData).catch(err =>
         console.error('Cache operation failed:', err)
     );
+    emitWebhookEvent('link.created', req.user?.id, { link: toPublicLink({ ...urlData, createdAt: new Date() }) });
 
     res.json({
         shortUrl: fullShortUrl,
-        originalUrl: url,
-        custom: !!customShortId
+        originalUrl: destination,
+        domain,
+        custom: !!customShortId,
+        ...publicOptions
     });
 
 })
 
+export const createShortUrlsBulk=wrapAsync(async (req,res)=>{
+    const rows = parseBulkInput(req.body);
+
+    // One domain for the whole batch: ?domain= (or "domain" next to "links"), else the account default
+    const { defaultDomain, dedupeLinks } = await getLinkPreferences(req.user.id);
+    const domain = await resolveLinkDomain(req.user, req.query.domain ?? req.body?.domain, defaultDomain);
+
+    // Dedupe mode the same way: ?dedupe=true|false (or "dedupe" next to "links"), else the account default
+    const dedupe = req.query.dedupe !== undefined ? req.query.dedupe : req.body?.dedupe;
+    if (dedupe !== undefined && ![true, false, 'true', 'false'].includes(dedupe)) {
+        return res.status(400).json({ error: "dedupe must be true or false" });
+    }
+    const wantsDedupe = dedupe !== undefined ? String(dedupe) === 'true' : dedupeLinks;
+
+    const summary = await createShortUrlsInBulk(rows, req.user.id, domain, { dedupe: wantsDedupe });
+
+    // 201 when every row got a link (new or reused), 207 when only some did, 422 when none did
+    const succeeded = summary.created + summary.deduplicated;
+    res.status(summary.failed === 0 ? 201 : succeeded > 0 ? 207 : 422).json(summary);
+})
+
 export const redirectFromShortUrl= wrapAsync(async(req,res)=>{
 
     const {id}=req.params;
+    // Each branded domain has its own codes; any other host serves the default domain
+    const domain = await resolveRequestDomain(requestHostname(req));
+
+    // Codes never contain '+', so `abc+` always means "preview abc"
+    if (id.endsWith('+')) {
+        return showLinkPreview(req, res, id.slice(0, -1), domain);
+    }
 
     // Use cached service for faster lookups
-    const url = await urlCacheService.getShortUrl(id);
+    const url = await urlCacheService.getShortUrl(id, domain);
 
     if (!url) {
         return res.status(404).json({ error: "Short URL not found" });
     }
 
-    res.redirect(url.full_url);
+    if (url.expired) {
+        return sendExpired(res, id, domain, url);
+    }
+
+    if (url.isProtected) {
+        return sendPage(res, 200, renderUnlockPage({ shortId: id, search: incomingQuery(req) }));
+    }
+
+    // The owner wants every visitor to see the destination first; the click is counted on "Continue"
+    if (url.forcePreview) {
+        return sendPreviewPage(req, res, id, url);
+    }
+
+    const { destination, variant } = resolveDestination(req, res, id, url);
+    if (!isSafeRedirectUrl(destination)) {
+        return res.status(400).json({ error: "Destination URL is not allowed" });
+    }
+
+    // Re-check rules added after the link was created (rules are cached in memory)
+    const destinationCheck = await checkDestination(destination);
+    if (!destinationCheck.allowed) {
+        return res.status(403).json({ error: destinationCheck.reason });
+    }
+
+    // Buffered write - doesn't delay the redirect
+    trackClick(req, id, domain, url, variant, destination);
+    if (variant) {
+        urlCacheService.incrementClicks(id, domain, variant).catch(err => console.error('Click increment failed:', err));
+    }
+
+    // The destination depends on these headers, so shared caches must not mix visitors up
+    if (url.targets?.length) {
+        res.vary('User-Agent').vary('Accept-Language');
+    }
+    res.redirect(url.redirectType || 302, destination);
+
+})
+
+export const unlockShortUrl= wrapAsync(async(req,res)=>{
+
+    const {id}=req.params;
+    const { password } = req.body || {};
+    const domain = await resolveRequestDomain(requestHostname(req));
+    const rateLimits = [
+        { key: `unlock:${req.ip}:${linkKey(id, domain)}`, options: UNLOCK_RATE_LIMIT },
+        { key: `unlock:${linkKey(id, domain)}`, options: UNLOCK_LINK_RATE_LIMIT }
+    ];
+
+    res.set('Cache-Control', 'no-store');
+
+    // Check (without consuming) that this client and the link still have failed attempts left
+    const exhausted = [];
+    for (const { key, options } of rateLimits) {
+        const rateLimit = await urlCacheService.checkRateLimit(key, { ...options, cost: 0 });
+        if (!rateLimit.allowed) exhausted.push(rateLimit);
+    }
+    if (exhausted.length > 0) {
+        const resetTime = Math.max(...exhausted.map(rateLimit => rateLimit.resetTime));
+        const retryAfter = Math.max(1, Math.ceil((resetTime - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return sendPage(res, 429, renderUnlockPage({ shortId: id, search: incomingQuery(req), error: 'Too many failed attempts. Please try again later.' }));
+    }
+
+    const url = await urlCacheService.getShortUrl(id, domain);
+
+    if (!url) {
+        return res.status(404).json({ error: "Short URL not found" });
+    }
 
-})
\ No newline at end of file
+    if (url.expired) {
+        return sendExpired(res, id, domain, url);
+    }
+
+    const { destination, variant } = resolveDestination(req, res, id, url);
+    if (!isSafeRedirectUrl(destination)) {
+        return res.status(400).json({ error: "Destination URL is not allowed" });
+    }
+
+    const destinationCheck = await checkDestination(destination);
+    if (!destinationCheck.allowed) {
+        return res.status(403).json({ error: destinationCheck.reason });
+    }
+
+    if (!url.isProtected) {
+        // "Continue" from a forced preview - the lookup above didn't count the click
+        if (url.forcePreview) {
+            if (!(await urlCacheService.countUnlockedClick(id, url, domain, variant))) {
+                return sendExpired(res, id, domain, url);
+            }
+        } else if (variant) {
+            urlCacheService.incrementClicks(id, domain, variant).catch(err => console.error('Click increment failed:', err));
+        }
+        trackClick(req, id, domain, url, variant, destination);
+        // Always 303 after a form POST (whatever redirectType says) so the browser follows with a GET
+        return res.redirect(303, destination);
+    }
+
+    if (!(await verifyLinkPassword(id, password, domain))) {
+        // Only failed attempts consume from the buckets
+        for (const { key, options } of rateLimits) {
+            await urlCacheService.checkRateLimit(key, options);
+        }
+        return sendPage(res, 401, renderUnlockPage({ shortId: id, search: incomingQuery(req), error: 'Incorrect password' }));
+    }
+
+    if (!(await urlCacheService.countUnlockedClick(id, url, domain, variant))) {
+        return sendExpired(res, id, domain, url);
+    }
+
+    trackClick(req, id, domain, url, variant, destination);
+    res.redirect(303, destination);
+
+})
+
+export const getShortUrlQrCode= wrapAsync(async(req,res)=>{
+
+    const {id}=req.params;
+    const options = parseQrOptions(req.query);
+    const domain = await resolveRequestDomain(requestHostname(req));
+
+    // Only render codes for links that exist (no click is counted)
+    const url = await urlCacheService.lookupShortUrl(id, domain);
+    if (!url) {
+        return res.status(404).json({ error: "Short URL not found" });
+    }
+
+    const { contentType, body } = await renderQrCode(id, options, domain);
+
+    res.set({
+        'Content-Type': contentType,
+        // The image only depends on the host, the code and the query, so CDNs can keep it
+        'Cache-Control': 'public, max-age=86400, s-maxage=604800',
+        // Allow embedding from other origins (helmet defaults to same-origin)
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(body);
+
+})
@@ -0,0 +1,35 @@
+import wrapAsync from "../utils/tryCatchWrapper.js";
+import {
+    createUserWebhook,
+    listUserWebhooks,
+    deleteUserWebhook,
+    listDeliveries,
+    redeliver
+} from "../services/webhookService.js";
+
+export const createWebhook=wrapAsync(async (req,res)=>{
+    const { url, events, global, description } = req.body || {};
+    const webhook = await createUserWebhook(req.user, { url, events, global, description });
+    res.status(201).json({ webhook });
+})
+
+export const listWebhooks=wrapAsync(async (req,res)=>{
+    const webhooks = await listUserWebhooks(req.user);
+    res.json({ webhooks });
+})
+
+export const deleteWebhook=wrapAsync(async (req,res)=>{
+    await deleteUserWebhook(req.user, req.params.webhookId);
+    res.status(204).end();
+})
+
+export const listWebhookDeliveries=wrapAsync(async (req,res)=>{
+    const { status, limit } = req.query;
+    const deliveries = await listDeliveries(req.user, req.params.webhookId, { status, limit });
+    res.json({ deliveries });
+})
+
+export const redeliverWebhook=wrapAsync(async (req,res)=>{
+    const delivery = await redeliver(req.user, req.params.webhookId, req.params.deliveryId);
+    res.status(202).json({ delivery });
+})
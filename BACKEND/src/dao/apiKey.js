@@ -0,0 +1,77 @@
+import ApiKey from "../models/apiKeyModel.js";
+import { checkConnectionHealth, withTimeout, toDaoError } from "./connection.js";
+
+export const createApiKey = async ({ userId, name, keyHash, prefix, scopes }) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            ApiKey.create({ user: userId, name, keyHash, prefix, scopes }),
+            5000,
+            'Database save timeout'
+        );
+    } catch (error) {
+        console.error('Error in createApiKey:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const findActiveApiKeyByHash = async (keyHash) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            ApiKey.findOne({ keyHash, revokedAt: null }).populate('user', 'email role').lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in findActiveApiKeyByHash:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const listApiKeysForUser = async (userId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            ApiKey.find({ user: userId }).select('-keyHash').sort({ createdAt: -1 }).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in listApiKeysForUser:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Returns the revoked key (with its hash, so callers can clear caches) or null
+export const revokeApiKey = async (userId, keyId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            ApiKey.findOneAndUpdate(
+                { _id: keyId, user: userId, revokedAt: null },
+                { $set: { revokedAt: new Date() } },
+                { new: true }
+            ).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in revokeApiKey:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const touchApiKey = async (keyId) => {
+    try {
+        checkConnectionHealth();
+
+        await withTimeout(
+            ApiKey.updateOne({ _id: keyId }, { $set: { lastUsedAt: new Date() } }),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in touchApiKey:', error.message);
+    }
+};
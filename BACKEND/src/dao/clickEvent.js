@@ -0,0 +1,113 @@
+import ClickEvent from "../models/clickEventSchema.js";
+import { checkConnectionHealth, withTimeout, toDaoError } from "./connection.js";
+
+// Errors from a batch in which every failed document was already stored (by an earlier attempt)
+const isOnlyDuplicates = (error) => {
+    const codes = error.writeErrors
+        ? [].concat(error.writeErrors).map(writeError => writeError.code ?? writeError.err?.code)
+        : [error.code];
+    return codes.every(code => code === 11000);
+};
+
+// Events come with their _id, so replaying a batch that was partly (or fully) written is harmless
+export const insertClickEvents = async (events) => {
+    try {
+        checkConnectionHealth();
+
+        // Unordered so one bad document doesn't drop the rest of the batch
+        await withTimeout(
+            ClickEvent.insertMany(events, { ordered: false, lean: true }),
+            5000,
+            'Database save timeout'
+        );
+    } catch (error) {
+        if (isOnlyDuplicates(error)) return;
+
+        console.error('Error in insertClickEvents:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Once a link is deleted its code can be taken again; its events must not count for the new link
+export const deleteClickEvents = async (shortUrl, domain) => {
+    try {
+        checkConnectionHealth();
+
+        await withTimeout(ClickEvent.deleteMany({ short_url: shortUrl, domain: domain || null }), 10000);
+    } catch (error) {
+        console.error('Error in deleteClickEvents:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+const topBy = (field, limit) => [
+    { $group: { _id: `$${field}`, clicks: { $sum: 1 } } },
+    { $sort: { clicks: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, value: '$_id', clicks: 1 } }
+];
+
+// Totals, time buckets and top breakdowns for one link over [from, to)
+export const aggregateClickStats = async (shortUrl, domain, { from, to, interval, topLimit = 10 }) => {
+    try {
+        checkConnectionHealth();
+
+        const [result] = await withTimeout(
+            ClickEvent.aggregate([
+                { $match: { short_url: shortUrl, domain: domain || null, timestamp: { $gte: from, $lt: to } } },
+                {
+                    $facet: {
+                        totals: [{ $count: 'clicks' }],
+                        visitors: [{ $match: { ipHash: { $ne: null } } }, { $group: { _id: '$ipHash' } }, { $count: 'unique' }],
+                        timeseries: [
+                            {
+                                $group: {
+                                    _id: { $dateTrunc: { date: '$timestamp', unit: interval, timezone: 'UTC', startOfWeek: 'monday' } },
+                                    clicks: { $sum: 1 }
+                                }
+                            },
+                            { $sort: { _id: 1 } }
+                        ],
+                        referrers: topBy('referrer', topLimit),
+                        browsers: topBy('browser', topLimit),
+                        operatingSystems: topBy('os', topLimit),
+                        devices: topBy('device', topLimit),
+                        variants: [
+                            { $match: { variant: { $ne: null } } },
+                            { $group: { _id: '$variant', clicks: { $sum: 1 }, visitors: { $addToSet: '$ipHash' } } },
+                            { $sort: { _id: 1 } },
+                            { $project: { _id: 0, variant: '$_id', clicks: 1, uniqueVisitors: { $size: '$visitors' } } }
+                        ]
+                    }
+                }
+            ]),
+            10000
+        );
+
+        return result;
+    } catch (error) {
+        console.error('Error in aggregateClickStats:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Most clicked links since `since`, as [{ short_url, domain, clicks }]
+export const aggregateTopLinks = async (since, limit) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            ClickEvent.aggregate([
+                { $match: { timestamp: { $gte: since } } },
+                { $group: { _id: { short_url: '$short_url', domain: { $ifNull: ['$domain', null] } }, clicks: { $sum: 1 } } },
+                { $sort: { clicks: -1, '_id.short_url': 1 } },
+                { $limit: limit },
+                { $project: { _id: 0, short_url: '$_id.short_url', domain: '$_id.domain', clicks: 1 } }
+            ]),
+            10000
+        );
+    } catch (error) {
+        console.error('Error in aggregateTopLinks:', error.message);
+        throw toDaoError(error);
+    }
+};
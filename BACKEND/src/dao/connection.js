@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Connection health check before operations
+export const checkConnectionHealth = () => {
+    const state = mongoose.connection.readyState;
+    if (state !== 1) { // 1 = connected
+        throw new Error(`Database not connected. State: ${state}`);
+    }
+    return true;
+};
+
+// Race a query against a timeout to prevent hanging under load
+export const withTimeout = (promise, ms, message = 'Database query timeout') => {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) =>
+            setTimeout(() => reject(new Error(message)), ms)
+        )
+    ]);
+};
+
+// Map low-level driver errors to the messages the services expect (the original stays as `cause`)
+export const toDaoError = (error) => {
+    if (error.code === 11000) {
+        return new Error('Duplicate key', { cause: error });
+    }
+
+    if (error.message.includes('timeout')) {
+        return new Error('Database operation timeout - please try again', { cause: error });
+    }
+
+    if (error.message.includes('not connected')) {
+        return new Error('Database connection error - please try again', { cause: error });
+    }
+
+    return new Error(`Database error: ${error.message}`, { cause: error });
+};
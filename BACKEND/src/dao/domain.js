@@ -0,0 +1,51 @@
+import Domain from "../models/domainSchema.js";
+import { checkConnectionHealth, withTimeout, toDaoError } from "./connection.js";
+
+export const listDomains = async (filter = {}) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(Domain.find(filter).sort({ hostname: 1 }).lean(), 1500);
+    } catch (error) {
+        console.error('Error in listDomains:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const findDomainById = async (domainId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(Domain.findById(domainId).lean(), 1500);
+    } catch (error) {
+        console.error('Error in findDomainById:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const createDomain = async (domain) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(Domain.create(domain), 5000, 'Database save timeout');
+    } catch (error) {
+        console.error('Error in createDomain:', error.message);
+
+        if (error.code === 11000) {
+            throw new Error('Domain already exists');
+        }
+
+        throw toDaoError(error);
+    }
+};
+
+export const deleteDomain = async (domainId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(Domain.findByIdAndDelete(domainId).lean(), 1500);
+    } catch (error) {
+        console.error('Error in deleteDomain:', error.message);
+        throw toDaoError(error);
+    }
+};
@@ -0,0 +1,40 @@
+import DomainRule from "../models/domainRuleSchema.js";
+import { checkConnectionHealth, withTimeout, toDaoError } from "./connection.js";
+
+export const listDomainRules = async () => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(DomainRule.find().sort({ createdAt: 1 }).lean(), 1500);
+    } catch (error) {
+        console.error('Error in listDomainRules:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const createDomainRule = async (rule) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(DomainRule.create(rule), 5000, 'Database save timeout');
+    } catch (error) {
+        console.error('Error in createDomainRule:', error.message);
+
+        if (error.code === 11000) {
+            throw new Error('Rule already exists');
+        }
+
+        throw toDaoError(error);
+    }
+};
+
+export const deleteDomainRule = async (ruleId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(DomainRule.findByIdAndDelete(ruleId).lean(), 1500);
+    } catch (error) {
+        console.error('Error in deleteDomainRule:', error.message);
+        throw toDaoError(error);
+    }
+};
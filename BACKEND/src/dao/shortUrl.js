@@ -1,21 +1,31 @@
-import urlSchema from "../models/shorturlSchema.js";
 import mongoose from "mongoose";
+import urlSchema from "../models/shorturlSchema.js";
+import ClickEvent from "../models/clickEventSchema.js";
+import { checkConnectionHealth, withTimeout, toDaoError } from "./connection.js";
 
-// Connection health check before operations
-const checkConnectionHealth = () => {
-    const state = mongoose.connection.readyState;
-    if (state !== 1) { // 1 = connected
-        throw new Error(`Database not connected. State: ${state}`);
-    }
-    return true;
-};
+// Filter matching links that can still be followed (not past expiresAt, under maxClicks)
+const activeLinkFilter = () => ({
+    $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ maxClicks: null }, { $expr: { $lt: ['$clicks', '$maxClicks'] } }] }
+    ]
+});
+
+// One link: codes are unique per domain (null domain = APP_URL, which also matches older documents without the field)
+const linkFilter = (shortUrl, domain) => ({ short_url: shortUrl, domain: domain || null });
 
-export const saveShortUrl = async (shortUrl, longUrl, userId) => {
+const isActiveLink = (link) =>
+    (!link.expiresAt || new Date(link.expiresAt).getTime() > Date.now()) &&
+    (!link.maxClicks || link.clicks < link.maxClicks);
+
+// `options` carries optional per-link settings (expiresAt, maxClicks, ...)
+export const saveShortUrl = async (shortUrl, longUrl, userId, options = {}) => {
     try {
         // Check connection health before operation
         checkConnectionHealth();
 
         const newUrl = new urlSchema({
+            ...options,
             full_url: longUrl,
             short_url: shortUrl,
             user: userId || undefined,
@@ -51,26 +61,17 @@ export const saveShortUrl = async (shortUrl, longUrl, userId) => {
     }
 };
 
-export const getShortUrl = async (shortUrl) => {
+// Clicks aren't counted here - see consumeLimitedClick and the write-behind counter (clickCounterService)
+export const getShortUrl = async (shortUrl, domain = null) => {
     try {
         // Check connection health before operation
         checkConnectionHealth();
 
         // Add timeout to prevent hanging
-        const findPromise = urlSchema.findOneAndUpdate(
-            { short_url: shortUrl },
-            { $inc: { clicks: 1 } },
-            { new: true } // Return updated document
-        );
+        const url = await withTimeout(urlSchema.findOne(linkFilter(shortUrl, domain)).lean(), 1500);
 
-        const url = await Promise.race([
-            findPromise,
-            new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Database query timeout')), 1500)
-            )
-        ]);
-
-        return url;
+        if (!url) return null;
+        return isActiveLink(url) ? url : { ...url, expired: true };
 
     } catch (error) {
         console.error('Error in getShortUrl:', error.message);
@@ -86,3 +87,303 @@ export const getShortUrl = async (shortUrl) => {
         throw new Error(`Database error: ${error.message}`);
     }
 };
+
+// Count a click on a click-limited link; returns null once maxClicks is reached
+export const consumeLimitedClick = async (shortUrl, domain = null) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            urlSchema.findOneAndUpdate(
+                { ...linkFilter(shortUrl, domain), ...activeLinkFilter() },
+                { $inc: { clicks: 1 } },
+                { new: true, projection: { clicks: 1, maxClicks: 1 } }
+            ).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in consumeLimitedClick:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+const REMEMBERED_CLICK_BATCHES = 50;
+
+// Apply batched click counts ([{ shortUrl, domain, clicks }]) in one unordered bulkWrite. Each link
+// remembers the ids of its latest batches, so applying batch `batchId` again (after a timeout that
+// hid a successful write, say) changes nothing.
+export const addShortUrlClicks = async (batchId, counts) => {
+    try {
+        checkConnectionHealth();
+
+        await withTimeout(
+            urlSchema.bulkWrite(
+                counts.map(({ shortUrl, domain, clicks }) => ({
+                    updateOne: {
+                        filter: { ...linkFilter(shortUrl, domain), clickBatches: { $ne: batchId } },
+                        update: {
+                            $inc: { clicks },
+                            $push: { clickBatches: { $each: [batchId], $slice: -REMEMBERED_CLICK_BATCHES } }
+                        }
+                    }
+                })),
+                { ordered: false }
+            ),
+            5000
+        );
+    } catch (error) {
+        console.error('Error in addShortUrlClicks:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Includes the password hash - only for verifying unlock attempts
+export const findShortUrlWithPassword = async (shortUrl, domain = null) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(urlSchema.findOne(linkFilter(shortUrl, domain)).select('+password').lean(), 1500);
+    } catch (error) {
+        console.error('Error in findShortUrlWithPassword:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Links for [{ shortId, domain }] pairs
+export const findShortUrlsByKeys = async (keys) => {
+    try {
+        checkConnectionHealth();
+
+        if (keys.length === 0) return [];
+        const filter = { $or: keys.map(({ shortId, domain }) => linkFilter(shortId, domain)) };
+        return await withTimeout(urlSchema.find(filter).lean(), 1500);
+    } catch (error) {
+        console.error('Error in findShortUrlsByKeys:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const findMostClickedShortUrls = async (limit) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(urlSchema.find({ clicks: { $gt: 0 } }).sort({ clicks: -1 }).limit(limit).lean(), 3000);
+    } catch (error) {
+        console.error('Error in findMostClickedShortUrls:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Idempotent insert for replayed writes: creates the link unless its code already exists on the
+// domain, and returns whatever is stored under the code so callers can tell a replay from a clash
+export const insertShortUrlIfMissing = async (shortUrl, longUrl, userId, options = {}) => {
+    try {
+        checkConnectionHealth();
+
+        const { domain = null, ...fields } = options;
+        return await withTimeout(
+            urlSchema.findOneAndUpdate(
+                linkFilter(shortUrl, domain),
+                { $setOnInsert: { ...fields, full_url: longUrl, ...(userId ? { user: userId } : {}) } },
+                { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+            ).lean(),
+            5000,
+            'Database save timeout'
+        );
+    } catch (error) {
+        console.error('Error in insertShortUrlIfMissing:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Unordered batch insert; returns { failures: [{ index, duplicate, message }] } for the rows that didn't make it
+export const insertShortUrls = async (docs) => {
+    try {
+        checkConnectionHealth();
+
+        await withTimeout(urlSchema.insertMany(docs, { ordered: false }), 10000, 'Database save timeout');
+        return { failures: [] };
+    } catch (error) {
+        if (!error.writeErrors) {
+            console.error('Error in insertShortUrls:', error.message);
+            throw toDaoError(error);
+        }
+
+        // Mongoose maps write error indexes back to positions in `docs`
+        const failures = error.writeErrors.map(writeError => {
+            const code = writeError.code ?? writeError.err?.code;
+            return {
+                index: writeError.index ?? writeError.err?.index,
+                duplicate: code === 11000,
+                message: writeError.errmsg ?? writeError.err?.errmsg ?? 'Insert failed'
+            };
+        });
+        return { failures };
+    }
+};
+
+// Cursor over links (all when userId is null), optionally joined with click-event stats
+export const streamShortUrls = ({ userId, withStats = false, batchSize = 500 }) => {
+    try {
+        checkConnectionHealth();
+
+        const pipeline = [
+            { $match: userId ? { user: new mongoose.Types.ObjectId(userId) } : {} },
+            { $sort: { createdAt: 1, _id: 1 } },
+            { $project: { password: 0, clickBatches: 0 } }
+        ];
+
+        if (withStats) {
+            pipeline.push(
+                {
+                    $lookup: {
+                        from: ClickEvent.collection.name,
+                        localField: 'short_url',
+                        foreignField: 'short_url',
+                        // Events from before the link was created belong to an earlier, deleted link with the same code
+                        let: { domain: { $ifNull: ['$domain', null] }, createdAt: { $ifNull: ['$createdAt', new Date(0)] } },
+                        pipeline: [
+                            {
+                                $match: {
+                                    $expr: {
+                                        $and: [
+                                            { $eq: [{ $ifNull: ['$domain', null] }, '$$domain'] },
+                                            { $gte: ['$timestamp', '$$createdAt'] }
+                                        ]
+                                    }
+                                }
+                            },
+                            { $group: { _id: null, trackedClicks: { $sum: 1 }, visitors: { $addToSet: '$ipHash' }, lastClickAt: { $max: '$timestamp' } } },
+                            { $project: { _id: 0, trackedClicks: 1, uniqueVisitors: { $size: '$visitors' }, lastClickAt: 1 } }
+                        ],
+                        as: 'stats'
+                    }
+                },
+                { $set: { stats: { $first: '$stats' } } }
+            );
+        }
+
+        return urlSchema.aggregate(pipeline).cursor({ batchSize });
+    } catch (error) {
+        console.error('Error in streamShortUrls:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// An existing plain link (auto-generated, default redirect, single destination, no limits, password or forced preview) for this destination and owner
+export const findReusableShortUrl = async (fullUrl, userId, domain = null) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            urlSchema.findOne({
+                full_url: fullUrl,
+                user: userId || null,
+                domain: domain || null,
+                custom: { $ne: true },
+                isProtected: { $ne: true },
+                forcePreview: { $ne: true },
+                forwardQuery: { $ne: true },
+                redirectType: { $in: [null, 302] },
+                'targets.0': { $exists: false },
+                'variants.0': { $exists: false },
+                expiresAt: null,
+                maxClicks: null
+            }).sort({ createdAt: 1 }).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in findReusableShortUrl:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Plain lookup without counting a click (management/API reads)
+export const findShortUrl = async (shortUrl, domain = null) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(urlSchema.findOne(linkFilter(shortUrl, domain)).lean(), 1500);
+    } catch (error) {
+        console.error('Error in findShortUrl:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const listShortUrls = async (filter, { sort, skip, limit }) => {
+    try {
+        checkConnectionHealth();
+
+        const [links, total] = await withTimeout(
+            Promise.all([
+                urlSchema.find(filter).sort(sort).skip(skip).limit(limit).lean(),
+                urlSchema.countDocuments(filter)
+            ]),
+            3000
+        );
+
+        return { links, total };
+    } catch (error) {
+        console.error('Error in listShortUrls:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const updateShortUrl = async (shortUrl, updates, domain = null) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            urlSchema.findOneAndUpdate(
+                linkFilter(shortUrl, domain),
+                { $set: updates },
+                { new: true, runValidators: true }
+            ).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in updateShortUrl:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Claim the one-off "expired" notification for a link; null when it was already sent (or the link is gone)
+export const markExpiryNotified = async (shortUrl, domain = null) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            urlSchema.findOneAndUpdate(
+                { ...linkFilter(shortUrl, domain), expiredNotifiedAt: null },
+                { $set: { expiredNotifiedAt: new Date() } },
+                { new: true }
+            ).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in markExpiryNotified:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const deleteShortUrl = async (shortUrl, domain = null) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(urlSchema.findOneAndDelete(linkFilter(shortUrl, domain)).lean(), 1500);
+    } catch (error) {
+        console.error('Error in deleteShortUrl:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const countShortUrlsOnDomain = async (domain) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(urlSchema.countDocuments({ domain }), 3000);
+    } catch (error) {
+        console.error('Error in countShortUrlsOnDomain:', error.message);
+        throw toDaoError(error);
+    }
+};
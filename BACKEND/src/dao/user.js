@@ -0,0 +1,121 @@
+import User from "../models/userModel.js";
+import { checkConnectionHealth, withTimeout, toDaoError } from "./connection.js";
+
+export const createUser = async ({ email, passwordHash, name }) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            User.create({ email, password: passwordHash, name }),
+            5000,
+            'Database save timeout'
+        );
+    } catch (error) {
+        console.error('Error in createUser:', error.message);
+
+        if (error.code === 11000) {
+            throw new Error('User already exists');
+        }
+
+        throw toDaoError(error);
+    }
+};
+
+export const findUserByEmail = async (email, { withPassword = false } = {}) => {
+    try {
+        checkConnectionHealth();
+
+        const query = User.findOne({ email: email.toLowerCase().trim() });
+        if (withPassword) query.select('+password');
+
+        return await withTimeout(query.lean(), 1500);
+    } catch (error) {
+        console.error('Error in findUserByEmail:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const findUserById = async (userId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(User.findById(userId).lean(), 1500);
+    } catch (error) {
+        console.error('Error in findUserById:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const updateUserSettings = async (userId, settings) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            User.findByIdAndUpdate(userId, { $set: settings }, { new: true, runValidators: true }).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in updateUserSettings:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const findUserByRefreshToken = async (tokenHash) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            User.findOne({
+                refreshTokens: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } }
+            }).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in findUserByRefreshToken:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const addRefreshToken = async (userId, tokenHash, expiresAt) => {
+    try {
+        checkConnectionHealth();
+
+        // Drop expired sessions while adding the new one
+        await withTimeout(
+            User.updateOne(
+                { _id: userId },
+                { $pull: { refreshTokens: { expiresAt: { $lte: new Date() } } } }
+            ),
+            1500
+        );
+        await withTimeout(
+            User.updateOne(
+                { _id: userId },
+                { $push: { refreshTokens: { tokenHash, expiresAt } } }
+            ),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in addRefreshToken:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Returns true if a matching session was removed
+export const removeRefreshToken = async (tokenHash) => {
+    try {
+        checkConnectionHealth();
+
+        const result = await withTimeout(
+            User.updateOne(
+                { 'refreshTokens.tokenHash': tokenHash },
+                { $pull: { refreshTokens: { tokenHash } } }
+            ),
+            1500
+        );
+        return result.modifiedCount > 0;
+    } catch (error) {
+        console.error('Error in removeRefreshToken:', error.message);
+        throw toDaoError(error);
+    }
+};
@@ -0,0 +1,153 @@
+import Webhook from "../models/webhookSchema.js";
+import WebhookDelivery from "../models/webhookDeliverySchema.js";
+import { checkConnectionHealth, withTimeout, toDaoError } from "./connection.js";
+
+export const createWebhook = async (webhook) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(Webhook.create(webhook), 5000, 'Database save timeout');
+    } catch (error) {
+        console.error('Error in createWebhook:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const listWebhooks = async (filter) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(Webhook.find(filter).sort({ createdAt: -1 }).lean(), 1500);
+    } catch (error) {
+        console.error('Error in listWebhooks:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const findWebhook = async (webhookId, { withSecret = false } = {}) => {
+    try {
+        checkConnectionHealth();
+
+        const query = Webhook.findById(webhookId);
+        if (withSecret) query.select('+secret');
+        return await withTimeout(query.lean(), 1500);
+    } catch (error) {
+        console.error('Error in findWebhook:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const deleteWebhook = async (webhookId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(Webhook.findByIdAndDelete(webhookId).lean(), 1500);
+    } catch (error) {
+        console.error('Error in deleteWebhook:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const insertWebhookDeliveries = async (deliveries) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            WebhookDelivery.insertMany(deliveries, { lean: true }),
+            5000,
+            'Database save timeout'
+        );
+    } catch (error) {
+        console.error('Error in insertWebhookDeliveries:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const findWebhookDelivery = async (webhookId, deliveryId) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(WebhookDelivery.findOne({ _id: deliveryId, webhook: webhookId }).lean(), 1500);
+    } catch (error) {
+        console.error('Error in findWebhookDelivery:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const updateWebhookDelivery = async (deliveryId, updates) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            WebhookDelivery.findByIdAndUpdate(deliveryId, updates, { new: true }).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in updateWebhookDelivery:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Take the pending delivery that has been due longest, holding it until `leaseUntil`; null when none is due
+export const claimDueWebhookDelivery = async (claimToken, leaseUntil) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            WebhookDelivery.findOneAndUpdate(
+                { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+                { $set: { claimToken, nextAttemptAt: leaseUntil } },
+                { sort: { nextAttemptAt: 1 }, new: true }
+            ).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in claimDueWebhookDelivery:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+// Extend a claim before using it; null when the delivery was claimed by someone else meanwhile
+export const renewWebhookDeliveryClaim = async (deliveryId, claimToken, leaseUntil) => {
+    try {
+        checkConnectionHealth();
+
+        return await withTimeout(
+            WebhookDelivery.findOneAndUpdate(
+                { _id: deliveryId, status: 'pending', claimToken },
+                { $set: { nextAttemptAt: leaseUntil } },
+                { new: true }
+            ).lean(),
+            1500
+        );
+    } catch (error) {
+        console.error('Error in renewWebhookDeliveryClaim:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const listWebhookDeliveries = async (webhookId, { status, limit }) => {
+    try {
+        checkConnectionHealth();
+
+        const filter = status ? { webhook: webhookId, status } : { webhook: webhookId };
+        return await withTimeout(
+            WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+            3000
+        );
+    } catch (error) {
+        console.error('Error in listWebhookDeliveries:', error.message);
+        throw toDaoError(error);
+    }
+};
+
+export const deleteWebhookDeliveries = async (webhookId) => {
+    try {
+        checkConnectionHealth();
+
+        await withTimeout(WebhookDelivery.deleteMany({ webhook: webhookId }), 5000);
+    } catch (error) {
+        console.error('Error in deleteWebhookDeliveries:', error.message);
+        throw toDaoError(error);
+    }
+};
@@ -0,0 +1,93 @@
+import { verifyAccessToken } from '../services/authService.js';
+import { authenticateApiKey, isApiKey } from '../services/apiKeyService.js';
+import { API_KEY_SCOPES } from '../models/apiKeyModel.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errorHandler.js';
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) {
+    throw new UnauthorizedError('Authorization header must use the Bearer scheme');
+  }
+  return token.trim();
+};
+
+// Resolve credentials from `X-API-Key` or `Authorization: Bearer` (JWT or API key).
+// Sets req.user and req.auth = { type, scopes }; returns false if no credentials were sent
+const resolvePrincipal = async (req) => {
+  const apiKeyHeader = req.headers['x-api-key'];
+  const token = apiKeyHeader ? apiKeyHeader.trim() : getBearerToken(req);
+  if (!token) return false;
+
+  if (apiKeyHeader || isApiKey(token)) {
+    const principal = await authenticateApiKey(token);
+    req.user = principal.user;
+    req.auth = { type: 'apiKey', keyId: principal.keyId, scopes: principal.scopes };
+    return true;
+  }
+
+  req.user = verifyAccessToken(token);
+  // Interactive sessions act with every scope
+  req.auth = { type: 'session', scopes: API_KEY_SCOPES };
+  return true;
+};
+
+// Require valid credentials; sets req.user
+export const authenticate = async (req, res, next) => {
+  try {
+    if (!(await resolvePrincipal(req))) {
+      throw new UnauthorizedError('Authentication required');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach req.user when credentials are present, but let anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  try {
+    await resolvePrincipal(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Only interactive (JWT) sessions - e.g. for managing API keys themselves
+export const requireSession = (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+  if (req.auth?.type !== 'session') {
+    return next(new ForbiddenError('This action requires a logged-in session, not an API key'));
+  }
+  next();
+};
+
+// Check an API key scope (any of, when given a list); anonymous requests pass only when allowAnonymous is set
+export const requireScope = (scope, { allowAnonymous = false } = {}) => {
+  const accepted = Array.isArray(scope) ? scope : [scope];
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return allowAnonymous ? next() : next(new UnauthorizedError('Authentication required'));
+    }
+    if (!accepted.some(s => req.auth?.scopes?.includes(s))) {
+      return next(new ForbiddenError(`API key is missing the '${accepted.join("' or '")}' scope`));
+    }
+    next();
+  };
+};
+
+export const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+  if (req.user.role !== 'admin') {
+    return next(new ForbiddenError('Admin access required'));
+  }
+  next();
+};
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const API_KEY_SCOPES = ["create", "read-analytics", "manage-links"];
+
+const apiKeySchema=new mongoose.Schema({
+    user:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"User",
+        required:true,
+        index:true,
+    },
+    name:{
+        type:String,
+        required:true,
+        trim:true,
+    },
+    // SHA-256 of the full key - the raw key is only shown once at creation
+    keyHash:{
+        type:String,
+        required:true,
+        unique:true,
+    },
+    // First characters of the key so users can tell their keys apart
+    prefix:{
+        type:String,
+        required:true,
+    },
+    scopes:{
+        type:[{ type:String, enum:API_KEY_SCOPES }],
+        default:["create"],
+    },
+    lastUsedAt:{
+        type:Date,
+    },
+    revokedAt:{
+        type:Date,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    }
+
+});
+
+const ApiKey=mongoose.model("ApiKey",apiKeySchema);
+
+export default ApiKey;
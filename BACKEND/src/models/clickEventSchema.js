@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const clickEventSchema=new mongoose.Schema({
+    short_url:{
+        type:String,
+        required:true,
+    },
+    domain:{
+        type:String, // null for the default APP_URL domain
+        default:null,
+    },
+    timestamp:{
+        type:Date,
+        required:true,
+        default:Date.now,
+    },
+    referrer:{
+        type:String, // Referrer host only, null for direct traffic
+        default:null,
+    },
+    browser:{
+        type:String,
+        default:"Other",
+    },
+    os:{
+        type:String,
+        default:"Other",
+    },
+    device:{
+        type:String,
+        enum:["desktop","mobile","tablet","bot","unknown"],
+        default:"unknown",
+    },
+    variant:{
+        type:String, // A/B variant served, null for single-destination links
+        default:null,
+    },
+    ipHash:{
+        type:String, // Salted SHA-256 of the client IP - never the raw address
+    }
+
+}, { versionKey: false });
+
+// Per-link time range queries (stats, exports)
+clickEventSchema.index({ short_url: 1, domain: 1, timestamp: -1 });
+// Cross-link time windows (popular links)
+clickEventSchema.index({ timestamp: -1 });
+
+const ClickEvent=mongoose.model("ClickEvent",clickEventSchema);
+
+export default ClickEvent;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+export const RULE_TYPES = ["block", "allow"];
+export const RULE_MATCH_TYPES = ["domain", "wildcard", "regex"];
+
+const domainRuleSchema=new mongoose.Schema({
+    type:{
+        type:String,
+        enum:RULE_TYPES,
+        required:true,
+    },
+    // domain: exact host; wildcard: *.example.com (apex and subdomains); regex: tested against the full URL
+    matchType:{
+        type:String,
+        enum:RULE_MATCH_TYPES,
+        required:true,
+    },
+    pattern:{
+        type:String,
+        required:true,
+        trim:true,
+    },
+    note:{
+        type:String,
+        trim:true,
+        maxlength:200,
+    },
+    createdBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"User",
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    }
+
+});
+
+domainRuleSchema.index({ type: 1, matchType: 1, pattern: 1 }, { unique: true });
+
+const DomainRule=mongoose.model("DomainRule",domainRuleSchema);
+
+export default DomainRule;
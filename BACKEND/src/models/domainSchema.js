@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// A branded hostname served by this deployment (its DNS must point here)
+const domainSchema=new mongoose.Schema({
+    hostname:{
+        type:String,
+        required:true,
+        unique:true,
+        lowercase:true,
+        trim:true,
+    },
+    // Only this user (and admins) may create links on the domain; null means any user
+    owner:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"User",
+        default:null,
+        index:true,
+    },
+    createdBy:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"User",
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    }
+
+});
+
+const Domain=mongoose.model("Domain",domainSchema);
+
+export default Domain;
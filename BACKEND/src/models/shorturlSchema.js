@@ -1,5 +1,20 @@
 import mongoose from "mongoose";
 
+// Targeting rule: send visitors matching every set condition to `url` (see utils/targeting.js)
+const targetSchema=new mongoose.Schema({
+    url:{ type:String, required:true },
+    device:{ type:[String], default:undefined },
+    os:{ type:[String], default:undefined },
+    language:{ type:[String], default:undefined }, // lowercase tags, "pt" also matches pt-br
+}, { _id:false });
+
+// A/B variant: a share of the traffic proportional to `weight` goes to `url`
+const variantSchema=new mongoose.Schema({
+    name:{ type:String, required:true },
+    url:{ type:String, required:true },
+    weight:{ type:Number, required:true, min:0 },
+}, { _id:false });
+
 const shortUrlSchema=new mongoose.Schema({
     full_url:{
         type:String,
@@ -9,8 +24,12 @@ const shortUrlSchema=new mongoose.Schema({
     short_url:{
          type:String,
         required:true,
-        index:true,
-        unique:true,
+    },
+    // Branded domain the code lives on (e.g. go.example.com); null for the default APP_URL domain
+    domain:{
+        type:String,
+        lowercase:true,
+        default:null,
     },
     clicks:{
         type:Number,
@@ -27,10 +46,77 @@ const shortUrlSchema=new mongoose.Schema({
         type: Date,
         default: Date.now,
         index: true, // Index for time-based queries
+    },
+    // User-chosen alias - never reused when deduplicating
+    custom: {
+        type: Boolean,
+        default: false,
+    },
+    // Optional limits - the link answers 410 Gone once either is reached
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    maxClicks: {
+        type: Number,
+        default: null,
+        min: 1,
+    },
+    // bcrypt hash - protected links show an unlock form instead of redirecting
+    password: {
+        type: String,
+        select: false,
+    },
+    isProtected: {
+        type: Boolean,
+        default: false,
+    },
+    // Ordered targeting rules - the first one matching the visitor wins, full_url is the fallback
+    targets: {
+        type: [targetSchema],
+        default: undefined,
+    },
+    // Weighted A/B split - replaces full_url for visitors no targeting rule matched
+    variants: {
+        type: [variantSchema],
+        default: undefined,
+    },
+    // HTTP status for the redirect (301/308 are cached by browsers, so later clicks may not reach us)
+    redirectType: {
+        type: Number,
+        enum: [301, 302, 307, 308],
+        default: 302,
+    },
+    // Append the short URL's query string (e.g. UTM tags) to the destination
+    forwardQuery: {
+        type: Boolean,
+        default: false,
+    },
+    // Always show the preview page (as for /code+) instead of redirecting straight away
+    forcePreview: {
+        type: Boolean,
+        default: false,
+    },
+    // When the link.expired webhook went out; cleared when the owner changes the limits
+    expiredNotifiedAt: {
+        type: Date,
+        default: null,
+        select: false,
+    },
+    // Latest click-count batches already added to `clicks`, so a replayed batch isn't counted twice
+    clickBatches: {
+        type: [String],
+        default: undefined,
+        select: false,
     }
 
 });
 
+// Codes are unique per domain, so `abc` can exist once on every domain
+shortUrlSchema.index({ short_url: 1, domain: 1 }, { unique: true });
+// Deduplication lookups: same destination for the same owner
+shortUrlSchema.index({ full_url: 1, user: 1, custom: 1 });
+
 const shortUrl=mongoose.model("ShortUrl",shortUrlSchema);
 
 export default shortUrl;
\ No newline at end of file
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const userSchema=new mongoose.Schema({
+    email:{
+        type:String,
+        required:true,
+        unique:true,
+        lowercase:true,
+        trim:true,
+    },
+    password:{
+        type:String,
+        required:true,
+        select:false, // Never return the hash unless explicitly requested
+    },
+    name:{
+        type:String,
+        trim:true,
+    },
+    role:{
+        type:String,
+        enum:["user","admin"],
+        default:"user",
+    },
+    // Reuse an existing short code when shortening a URL this account already shortened
+    dedupeLinks:{
+        type:Boolean,
+        default:false,
+    },
+    // Branded domain for new links when the request doesn't name one; null for APP_URL
+    defaultDomain:{
+        type:String,
+        default:null,
+    },
+    // Hashed refresh tokens - one entry per active session
+    refreshTokens:{
+        type:[{
+            tokenHash:{ type:String, required:true },
+            expiresAt:{ type:Date, required:true },
+        }],
+        select:false,
+        default:[],
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    }
+
+});
+
+const User=mongoose.model("User",userSchema);
+
+export default User;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+export const DELIVERY_STATUSES = ["pending", "succeeded", "dead"];
+
+// One event sent to one webhook - doubles as the delivery log and the dead-letter list
+const webhookDeliverySchema=new mongoose.Schema({
+    webhook:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"Webhook",
+        required:true,
+    },
+    event:{
+        type:String,
+        required:true,
+    },
+    // Exact JSON body that is signed and sent, so retries are byte-identical
+    payload:{
+        type:String,
+        required:true,
+    },
+    status:{
+        type:String,
+        enum:DELIVERY_STATUSES,
+        default:"pending",
+    },
+    attempts:{
+        type:Number,
+        default:0,
+    },
+    // Pending deliveries: when the next attempt is due, or until when the instance holding the claim owns it
+    nextAttemptAt:{
+        type:Date,
+        default:null,
+    },
+    claimToken:{
+        type:String,
+        default:null,
+    },
+    lastStatusCode:{
+        type:Number,
+        default:null,
+    },
+    lastError:{
+        type:String,
+        default:null,
+    },
+    deliveredAt:{
+        type:Date,
+        default:null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 30 * 24 * 60 * 60, // Keep delivery logs for 30 days
+    }
+
+}, { versionKey: false });
+
+// Delivery log per webhook, newest first, optionally by status (e.g. the dead-letter list)
+webhookDeliverySchema.index({ webhook: 1, status: 1, createdAt: -1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+// Due retries, oldest first
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery=mongoose.model("WebhookDelivery",webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENTS = ["link.created", "link.clicked", "link.expired"];
+
+const webhookSchema=new mongoose.Schema({
+    // Subscriber; null for a global webhook (admins only) that receives events for every link
+    user:{
+        type:mongoose.Schema.Types.ObjectId,
+        ref:"User",
+        default:null,
+        index:true,
+    },
+    url:{
+        type:String,
+        required:true,
+    },
+    events:{
+        type:[{ type:String, enum:WEBHOOK_EVENTS }],
+        required:true,
+    },
+    // HMAC-SHA256 signing key - shown once at creation
+    secret:{
+        type:String,
+        required:true,
+        select:false,
+    },
+    description:{
+        type:String,
+        trim:true,
+        maxlength:200,
+    },
+    active:{
+        type:Boolean,
+        default:true,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    }
+
+});
+
+const Webhook=mongoose.model("Webhook",webhookSchema);
+
+export default Webhook;
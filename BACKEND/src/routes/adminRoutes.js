@@ -0,0 +1,27 @@
+import express from "express";
+import {
+    listDomainRules,
+    createDomainRule,
+    deleteDomainRule,
+    listDomains,
+    createDomain,
+    deleteDomain
+} from "../controller/adminController.js";
+import { authenticate, requireSession, requireAdmin } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// API keys carry their owner's role, but even an admin's key must not change app-wide settings
+router.use(authenticate, requireSession, requireAdmin);
+
+// Destination blocklist / allowlist rules
+router.get("/rules", listDomainRules);
+router.post("/rules", createDomainRule);
+router.delete("/rules/:ruleId", deleteDomainRule);
+
+// Branded short-link domains
+router.get("/domains", listDomains);
+router.post("/domains", createDomain);
+router.delete("/domains/:domainId", deleteDomain);
+
+export default router;
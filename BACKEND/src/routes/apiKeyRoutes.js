@@ -0,0 +1,14 @@
+import express from "express";
+import { createKey, listKeys, revokeKey } from "../controller/apiKeyController.js";
+import { authenticate, requireSession } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Keys are managed from a logged-in session only
+router.use(authenticate, requireSession);
+
+router.post("/", createKey);
+router.get("/", listKeys);
+router.delete("/:keyId", revokeKey);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from "express";
+import { register, login, refresh, logout, me, updateMe } from "../controller/authController.js";
+import { authenticate, requireSession } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.post("/register", register);
+router.post("/login", login);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.get("/me", authenticate, me);
+router.patch("/me", authenticate, requireSession, updateMe);
+
+export default router;
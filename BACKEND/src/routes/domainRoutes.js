@@ -0,0 +1,13 @@
+import express from "express";
+import { listMyDomains, updateDefaultDomain } from "../controller/domainController.js";
+import { authenticate, requireSession } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", listMyDomains);
+// Account setting - not available to API keys
+router.put("/default", requireSession, updateDefaultDomain);
+
+export default router;
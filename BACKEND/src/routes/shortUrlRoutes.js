@@ -1,13 +1,37 @@
 import express from "express";
-import { createShortUrl } from "../controller/shortUrlController.js";
+import { createShortUrl, createShortUrlsBulk } from "../controller/shortUrlController.js";
+import { listUserLinks, getUserLink, updateUserLink, deleteUserLink, getUserLinkStats, getPopular, exportUserLinks } from "../controller/linkController.js";
+import { authenticate, optionalAuth, requireScope, requireAdmin } from "../middleware/auth.js";
 import cors from "cors";
 
 const router = express.Router();
 
-router.options("/", cors(), (req, res) => {
+router.options("/create", cors(), (req, res) => {
   res.sendStatus(204);
 });
 
-router.post("/", createShortUrl);
+router.post("/create", optionalAuth, requireScope("create", { allowAnonymous: true }), createShortUrl);
+
+// Bulk creation - JSON array or CSV body, authenticated only
+router.post(
+  "/create/bulk",
+  authenticate,
+  requireScope("create"),
+  express.text({ type: ["text/csv", "application/csv"], limit: "2mb" }),
+  createShortUrlsBulk
+);
+
+// Link management - owners (or admins) only
+const canReadLinks = requireScope(["manage-links", "read-analytics"]);
+const canManageLinks = requireScope("manage-links");
+
+router.get("/links", authenticate, canReadLinks, listUserLinks);
+// Leaderboard across every account (destinations included), for the internal dashboard only
+router.get("/links/popular", authenticate, requireAdmin, requireScope("read-analytics"), getPopular); // before :shortId
+router.get("/links/export", authenticate, canReadLinks, exportUserLinks);
+router.get("/links/:shortId", authenticate, canReadLinks, getUserLink);
+router.get("/links/:shortId/stats", authenticate, requireScope("read-analytics"), getUserLinkStats);
+router.patch("/links/:shortId", authenticate, canManageLinks, updateUserLink);
+router.delete("/links/:shortId", authenticate, canManageLinks, deleteUserLink);
 
 export default router;
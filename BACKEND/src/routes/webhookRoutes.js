@@ -0,0 +1,22 @@
+import express from "express";
+import {
+    createWebhook,
+    listWebhooks,
+    deleteWebhook,
+    listWebhookDeliveries,
+    redeliverWebhook
+} from "../controller/webhookController.js";
+import { authenticate, requireSession } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Webhooks (and their signing secrets) are managed from a logged-in session only
+router.use(authenticate, requireSession);
+
+router.post("/", createWebhook);
+router.get("/", listWebhooks);
+router.delete("/:webhookId", deleteWebhook);
+router.get("/:webhookId/deliveries", listWebhookDeliveries);
+router.post("/:webhookId/deliveries/:deliveryId/redeliver", redeliverWebhook);
+
+export default router;
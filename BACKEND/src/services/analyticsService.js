@@ -0,0 +1,109 @@
+import { aggregateClickStats } from "../dao/clickEvent.js";
+import { flushClickEvents } from "./clickEventService.js";
+import { getLink, toPublicLink } from "./linkService.js";
+import { urlCacheService } from "./cacheService.js";
+import { BadRequestError } from "../utils/errorHandler.js";
+
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+const DEFAULT_RANGE_MS = 7 * INTERVAL_MS.day;
+const MAX_BUCKETS = 2000;
+const POPULAR_WINDOWS = ['all', '24h', '7d'];
+const MAX_POPULAR_LIMIT = 100;
+
+// Start of the UTC bucket containing `date` - mirrors $dateTrunc (weeks start on Monday)
+const bucketStart = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'hour') {
+    d.setUTCMinutes(0, 0, 0);
+    return d;
+  }
+  d.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  }
+  return d;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`${name} must be a valid ISO 8601 date`);
+  }
+  return date;
+};
+
+// Every bucket in the range, with zeros where nothing happened
+const fillTimeseries = (rows, from, to, interval) => {
+  const counts = new Map(rows.map(row => [new Date(row._id).getTime(), row.clicks]));
+  const series = [];
+  for (let t = bucketStart(from, interval).getTime(); t < to.getTime(); t += INTERVAL_MS[interval]) {
+    series.push({ bucket: new Date(t).toISOString(), clicks: counts.get(t) || 0 });
+  }
+  return series;
+};
+
+export const getLinkStats = async (user, shortId, { from, to, interval = 'day', domain } = {}) => {
+  // Ownership check (404 for links the caller can't see)
+  const link = await getLink(user, shortId, { domain });
+
+  if (!INTERVAL_MS[interval]) {
+    throw new BadRequestError(`interval must be one of: ${Object.keys(INTERVAL_MS).join(', ')}`);
+  }
+
+  const rangeEnd = to ? parseDate(to, 'to') : new Date();
+  const rangeStart = from ? parseDate(from, 'from') : new Date(rangeEnd.getTime() - DEFAULT_RANGE_MS);
+  if (rangeStart >= rangeEnd) {
+    throw new BadRequestError("from must be before to");
+  }
+  if ((rangeEnd - rangeStart) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+    throw new BadRequestError(`Range too large for '${interval}' buckets (max ${MAX_BUCKETS}); use a larger interval`);
+  }
+
+  // Include clicks still buffered on this instance
+  await flushClickEvents();
+
+  // Events older than the link come from a deleted link that had the same code
+  const createdAt = link.createdAt ? new Date(link.createdAt) : null;
+  const eventsFrom = createdAt && createdAt > rangeStart ? createdAt : rangeStart;
+  const stats = await aggregateClickStats(shortId, link.domain, { from: eventsFrom, to: rangeEnd, interval });
+
+  return {
+    shortId: link.shortId,
+    domain: link.domain,
+    range: { from: rangeStart.toISOString(), to: rangeEnd.toISOString(), interval },
+    totalClicks: stats.totals[0]?.clicks || 0,
+    uniqueVisitors: stats.visitors[0]?.unique || 0,
+    timeseries: fillTimeseries(stats.timeseries, rangeStart, rangeEnd, interval),
+    topReferrers: stats.referrers.map(({ value, clicks }) => ({ referrer: value ?? 'direct', clicks })),
+    browsers: stats.browsers.map(({ value, clicks }) => ({ browser: value, clicks })),
+    operatingSystems: stats.operatingSystems.map(({ value, clicks }) => ({ os: value, clicks })),
+    devices: stats.devices.map(({ value, clicks }) => ({ device: value, clicks })),
+    variants: stats.variants
+  };
+};
+
+export const getPopularLinks = async ({ window = 'all', limit = 10 } = {}) => {
+  const size = Number.parseInt(limit, 10);
+  if (!POPULAR_WINDOWS.includes(window)) {
+    throw new BadRequestError(`window must be one of: ${POPULAR_WINDOWS.join(', ')}`);
+  }
+  if (!Number.isInteger(size) || size < 1 || size > MAX_POPULAR_LIMIT) {
+    throw new BadRequestError(`limit must be between 1 and ${MAX_POPULAR_LIMIT}`);
+  }
+
+  const popular = await urlCacheService.getPopularUrls(size, window);
+
+  return {
+    window,
+    links: popular.map(({ link, clicks }, index) => {
+      const publicLink = toPublicLink(link);
+      // Don't reveal where password-protected links point
+      if (publicLink.passwordProtected) publicLink.originalUrl = null;
+      return { rank: index + 1, ...publicLink, clicks, totalClicks: link.clicks };
+    })
+  };
+};
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { cacheService } from "../config/redis.config.js";
+import { createApiKey, findActiveApiKeyByHash, listApiKeysForUser, revokeApiKey, touchApiKey } from "../dao/apiKey.js";
+import { API_KEY_SCOPES } from "../models/apiKeyModel.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "../utils/errorHandler.js";
+
+export const API_KEY_PREFIX = 'mus_';
+const MAX_KEY_NAME_LENGTH = 100;
+
+const CACHE_KEYS = {
+  API_KEY: (keyHash) => `apikey:${keyHash}`
+};
+
+const CACHE_TTL = {
+  API_KEY: 60 // 1 minute - revocation also clears the entry
+};
+
+const hashApiKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const toPublicApiKey = (key) => ({
+  id: key._id.toString(),
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  lastUsedAt: key.lastUsedAt,
+  revokedAt: key.revokedAt,
+  createdAt: key.createdAt
+});
+
+export const generateApiKey = async (userId, { name, scopes } = {}) => {
+  if (!name || typeof name !== 'string' || name.trim().length > MAX_KEY_NAME_LENGTH) {
+    throw new BadRequestError(`Key name is required (max ${MAX_KEY_NAME_LENGTH} characters)`);
+  }
+
+  const requestedScopes = scopes ?? ['create'];
+  if (!Array.isArray(requestedScopes) || requestedScopes.length === 0) {
+    throw new BadRequestError('Scopes must be a non-empty array');
+  }
+  const unknownScopes = requestedScopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    throw new BadRequestError(`Unknown scopes: ${unknownScopes.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const key = await createApiKey({
+    userId,
+    name: name.trim(),
+    keyHash: hashApiKey(rawKey),
+    prefix: rawKey.slice(0, API_KEY_PREFIX.length + 8),
+    scopes: [...new Set(requestedScopes)]
+  });
+
+  // The raw key is returned exactly once
+  return { ...toPublicApiKey(key), key: rawKey };
+};
+
+export const listApiKeys = async (userId) => {
+  const keys = await listApiKeysForUser(userId);
+  return keys.map(toPublicApiKey);
+};
+
+export const revokeUserApiKey = async (userId, keyId) => {
+  if (!mongoose.isValidObjectId(keyId)) {
+    throw new NotFoundError('API key not found');
+  }
+
+  const key = await revokeApiKey(userId, keyId);
+  if (!key) {
+    throw new NotFoundError('API key not found');
+  }
+
+  await cacheService.del(CACHE_KEYS.API_KEY(key.keyHash));
+  return toPublicApiKey(key);
+};
+
+// Resolve a raw key to the principal it acts for: { user, scopes, keyId }
+export const authenticateApiKey = async (rawKey) => {
+  const keyHash = hashApiKey(rawKey);
+  const cacheKey = CACHE_KEYS.API_KEY(keyHash);
+
+  let principal = await cacheService.get(cacheKey);
+  if (!principal) {
+    const key = await findActiveApiKeyByHash(keyHash);
+    if (!key || !key.user) {
+      throw new UnauthorizedError('Invalid or revoked API key');
+    }
+
+    principal = {
+      keyId: key._id.toString(),
+      scopes: key.scopes,
+      user: { id: key.user._id.toString(), email: key.user.email, role: key.user.role }
+    };
+    cacheService.set(cacheKey, principal, CACHE_TTL.API_KEY).catch(err =>
+      console.error('API key cache set failed:', err)
+    );
+    // Record usage asynchronously, at most once per cache period (fire and forget)
+    touchApiKey(principal.keyId).catch(() => {});
+  }
+
+  return principal;
+};
@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import {
+  createUser,
+  findUserByEmail,
+  findUserById,
+  updateUserSettings,
+  findUserByRefreshToken,
+  addRefreshToken,
+  removeRefreshToken
+} from "../dao/user.js";
+import { AppError, BadRequestError, ConflictError, UnauthorizedError } from "../utils/errorHandler.js";
+
+const BCRYPT_ROUNDS = 10;
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Compared against when the email is unknown so timing doesn't reveal which accounts exist
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', BCRYPT_ROUNDS);
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new AppError("JWT_SECRET is not configured", 500);
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Refresh tokens are opaque random strings; only their SHA-256 is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toPublicUser = (user) => ({
+  id: user._id.toString(),
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  dedupeLinks: !!user.dedupeLinks,
+  defaultDomain: user.defaultDomain ?? null
+});
+
+const issueTokens = async (user) => {
+  const accessToken = jwt.sign(
+    { sub: user._id.toString(), email: user.email, role: user.role },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await addRefreshToken(user._id, hashToken(refreshToken), expiresAt);
+
+  return {
+    user: toPublicUser(user),
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+export const registerUser = async ({ email, password, name }) => {
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email)) {
+    throw new BadRequestError("A valid email is required");
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new BadRequestError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  try {
+    const user = await createUser({ email, passwordHash, name });
+    return await issueTokens(user);
+  } catch (error) {
+    if (error.message === "User already exists") {
+      throw new ConflictError("An account with this email already exists");
+    }
+    throw error;
+  }
+};
+
+export const loginUser = async ({ email, password }) => {
+  if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
+    throw new BadRequestError("Email and password are required");
+  }
+
+  const user = await findUserByEmail(email, { withPassword: true });
+  const passwordMatches = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH);
+  if (!user || !passwordMatches) {
+    throw new UnauthorizedError("Invalid email or password");
+  }
+
+  return issueTokens(user);
+};
+
+// Rotate the refresh token: the presented one is consumed and a new pair issued
+export const refreshSession = async (refreshToken) => {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    throw new BadRequestError("Refresh token is required");
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const user = await findUserByRefreshToken(tokenHash);
+  if (!user || !(await removeRefreshToken(tokenHash))) {
+    throw new UnauthorizedError("Invalid or expired refresh token");
+  }
+
+  return issueTokens(user);
+};
+
+export const logoutUser = async (refreshToken) => {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    throw new BadRequestError("Refresh token is required");
+  }
+  await removeRefreshToken(hashToken(refreshToken));
+};
+
+export const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return { id: payload.sub, email: payload.email, role: payload.role };
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new UnauthorizedError("Invalid or expired access token");
+  }
+};
+
+export const getUserProfile = async (userId) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new UnauthorizedError("User no longer exists");
+  }
+  return toPublicUser(user);
+};
+
+export const updateUserProfile = async (userId, { name, dedupeLinks } = {}) => {
+  const settings = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string') throw new BadRequestError("name must be a string");
+    settings.name = name.trim();
+  }
+  if (dedupeLinks !== undefined) {
+    if (typeof dedupeLinks !== 'boolean') throw new BadRequestError("dedupeLinks must be a boolean");
+    settings.dedupeLinks = dedupeLinks;
+  }
+  if (Object.keys(settings).length === 0) {
+    throw new BadRequestError("No updatable fields provided");
+  }
+
+  const user = await updateUserSettings(userId, settings);
+  if (!user) {
+    throw new UnauthorizedError("User no longer exists");
+  }
+  return toPublicUser(user);
+};
+
+// Account-level defaults for new links (deduplication, branded domain); plain defaults if they can't be read
+export const getLinkPreferences = async (userId) => {
+  try {
+    const user = await findUserById(userId);
+    return { dedupeLinks: !!user?.dedupeLinks, defaultDomain: user?.defaultDomain ?? null };
+  } catch (error) {
+    console.error('Could not read link preferences:', error.message);
+    return { dedupeLinks: false, defaultDomain: null };
+  }
+};
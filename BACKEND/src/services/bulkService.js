@@ -0,0 +1,203 @@
+import { insertShortUrls } from "../dao/shortUrl.js";
+import { validateCustomShortId, buildShortUrl } from "../utils/helper.js";
+import { parseCsv } from "../utils/csv.js";
+import { validateUrl } from "../utils/url.js";
+import { checkDestination } from "./domainRuleService.js";
+import { findExistingShortUrl } from "./shorturlService.js";
+import { toPublicLink } from "./linkService.js";
+import { emitWebhookEvent } from "./webhookService.js";
+import { generateShortCode } from "./shortCodeService.js";
+import { urlCacheService } from "./cacheService.js";
+import { BadRequestError } from "../utils/errorHandler.js";
+
+const MAX_BULK_ROWS = 1000;
+const INSERT_BATCH_SIZE = 200;
+const MAX_CODE_ATTEMPTS = 3; // Regenerate random codes that collide
+
+const URL_COLUMNS = ['url', 'full_url', 'destination'];
+const ALIAS_COLUMNS = ['customshortid', 'custom_short_id', 'alias', 'shortid'];
+
+// CSV with an optional header row; without one, columns are `url,customShortId`
+const rowsFromCsv = (text) => {
+  const records = parseCsv(text);
+  if (records.length === 0) return [];
+
+  const header = records[0].map(column => column.trim().toLowerCase());
+  let urlIndex = header.findIndex(column => URL_COLUMNS.includes(column));
+  let aliasIndex = header.findIndex(column => ALIAS_COLUMNS.includes(column));
+  let dataRows = records.slice(1);
+
+  if (urlIndex === -1) {
+    urlIndex = 0;
+    aliasIndex = 1;
+    dataRows = records;
+  }
+
+  return dataRows.map(record => ({
+    url: record[urlIndex]?.trim(),
+    customShortId: aliasIndex === -1 ? undefined : (record[aliasIndex]?.trim() || undefined)
+  }));
+};
+
+// Accepts a CSV string, a JSON array, or { links: [...] }
+export const parseBulkInput = (body) => {
+  let rows;
+  if (typeof body === 'string') {
+    rows = rowsFromCsv(body);
+  } else if (Array.isArray(body)) {
+    rows = body;
+  } else if (Array.isArray(body?.links)) {
+    rows = body.links;
+  } else {
+    throw new BadRequestError("Send a JSON array of { url, customShortId } objects or a text/csv body");
+  }
+
+  if (rows.length === 0) {
+    throw new BadRequestError("No links provided");
+  }
+  if (rows.length > MAX_BULK_ROWS) {
+    throw new BadRequestError(`A bulk request can contain at most ${MAX_BULK_ROWS} links`);
+  }
+
+  // Allow plain strings in JSON arrays
+  return rows.map(row => (typeof row === 'string' ? { url: row } : row || {}));
+};
+
+const validateRow = async (row, seenAliases) => {
+  const urlValidation = validateUrl(row.url);
+  if (!urlValidation.valid) {
+    return urlValidation.error;
+  }
+  row.url = urlValidation.url;
+
+  const destinationCheck = await checkDestination(row.url);
+  if (!destinationCheck.allowed) {
+    return destinationCheck.reason;
+  }
+
+  if (row.customShortId !== undefined && row.customShortId !== null && row.customShortId !== '') {
+    if (typeof row.customShortId !== 'string') {
+      return 'Custom short ID must be a string';
+    }
+    const validation = validateCustomShortId(row.customShortId);
+    if (!validation.valid) return validation.error;
+    if (seenAliases.has(row.customShortId)) {
+      return 'Custom short ID is used more than once in this request';
+    }
+    seenAliases.add(row.customShortId);
+  }
+  return null;
+};
+
+// Create many links (all on `domain`, null for APP_URL) in batched inserts; returns a result per input row.
+// With `dedupe`, rows without an alias reuse the caller's existing code for the URL, or the code made
+// for the same URL earlier in the request.
+export const createShortUrlsInBulk = async (rows, userId, domain = null, { dedupe = false } = {}) => {
+  const results = rows.map((row, index) => ({ row: index + 1, url: row.url ?? null }));
+  const seenAliases = new Set();
+  const pending = [];
+  const pendingByUrl = new Map(); // dedupe: URL -> the pending entry creating its code
+
+  // Rules are cached in memory, so checking each row in turn is cheap
+  for (const [index, row] of rows.entries()) {
+    const error = await validateRow(row, seenAliases);
+    if (error) {
+      results[index].error = error;
+      continue;
+    }
+    const custom = !!row.customShortId;
+
+    if (dedupe && !custom) {
+      const earlier = pendingByUrl.get(row.url);
+      if (earlier) {
+        earlier.sameUrlRows.push(index);
+        continue;
+      }
+      const existing = await findExistingShortUrl(row.url, userId, domain);
+      if (existing) {
+        Object.assign(results[index], {
+          shortId: existing, shortUrl: buildShortUrl(existing, domain), custom: false, deduplicated: true
+        });
+        continue;
+      }
+    }
+
+    const entry = { index, custom, attempts: 1, sameUrlRows: [], doc: {
+      full_url: row.url,
+      short_url: custom ? row.customShortId : await generateShortCode(),
+      domain,
+      user: userId || undefined,
+      custom
+    } };
+    pending.push(entry);
+    if (dedupe && !custom) pendingByUrl.set(row.url, entry);
+  }
+
+  for (let start = 0; start < pending.length; start += INSERT_BATCH_SIZE) {
+    let batch = pending.slice(start, start + INSERT_BATCH_SIZE);
+
+    while (batch.length > 0) {
+      let failures;
+      try {
+        ({ failures } = await insertShortUrls(batch.map(entry => entry.doc)));
+      } catch (error) {
+        // A timeout or lost connection fails this batch only; earlier batches keep their results
+        console.error('Bulk insert batch failed:', error.message);
+        for (const entry of batch) {
+          results[entry.index].error = 'Could not be saved - retry this row';
+        }
+        break;
+      }
+      const failedByIndex = new Map(failures.map(failure => [failure.index, failure]));
+      const retry = [];
+
+      for (const [batchIndex, entry] of batch.entries()) {
+        const failure = failedByIndex.get(batchIndex);
+        const result = results[entry.index];
+
+        if (!failure) {
+          result.shortId = entry.doc.short_url;
+          result.shortUrl = buildShortUrl(entry.doc.short_url, domain);
+          result.custom = entry.custom;
+          emitWebhookEvent('link.created', userId, { link: toPublicLink({ ...entry.doc, clicks: 0, createdAt: new Date() }) });
+          // An alias somebody tried before it existed may be cached as missing
+          if (entry.custom) {
+            urlCacheService.clearUrlCache(entry.doc.short_url, domain).catch(() => {});
+          }
+          continue;
+        }
+
+        if (failure.duplicate && entry.custom) {
+          result.error = 'Custom short URL already exists - please choose a different one';
+        } else if (failure.duplicate && entry.attempts < MAX_CODE_ATTEMPTS) {
+          // Random code collision - try again with a fresh code
+          entry.attempts++;
+          entry.doc = { ...entry.doc, short_url: await generateShortCode() };
+          retry.push(entry);
+        } else {
+          result.error = failure.duplicate ? 'Failed to generate a unique short URL' : failure.message;
+        }
+      }
+
+      batch = retry;
+    }
+  }
+
+  // Repeats of a URL within the request share the outcome of its first row
+  for (const entry of pending) {
+    const { row: _row, url: _url, ...outcome } = results[entry.index];
+    for (const index of entry.sameUrlRows) {
+      Object.assign(results[index], outcome, outcome.error ? {} : { deduplicated: true });
+    }
+  }
+
+  const succeeded = results.filter(result => !result.error).length;
+  const deduplicated = results.filter(result => result.deduplicated).length;
+  return {
+    total: results.length,
+    created: succeeded - deduplicated,
+    deduplicated,
+    failed: results.length - succeeded,
+    results
+  };
+};
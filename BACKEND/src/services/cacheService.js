@@ -1,5 +1,16 @@
-import { cacheService } from '../config/redis.config.js';
-import { getShortUrl as getShortUrlFromDB, saveShortUrl } from '../dao/shortUrl.js';
+import crypto from 'crypto';
+import { cacheService, subscribe } from '../config/redis.config.js';
+import {
+  getShortUrl as getShortUrlFromDB,
+  saveShortUrl,
+  consumeLimitedClick,
+  findShortUrlsByKeys,
+  findMostClickedShortUrls
+} from '../dao/shortUrl.js';
+import { aggregateTopLinks } from '../dao/clickEvent.js';
+import { recordClick } from './clickCounterService.js';
+import { capTtlToExpiry, isLinkExpired, linkKey, parseLinkKey } from '../utils/helper.js';
+import { LruCache } from '../utils/lruCache.js';
 
 // Improved Circuit breaker for Redis operations - Less sensitive
 class CircuitBreaker {
@@ -75,6 +86,11 @@ class PerformanceMonitor {
       cacheMisses: 0,
       redisErrors: 0,
       dbFallbacks: 0,
+      negativeHits: 0,
+      sharedLoads: 0,
+      earlyRefreshes: 0,
+      l1Hits: 0,
+      l1Misses: 0,
       avgResponseTime: 0,
       totalRequests: 0
     };
@@ -91,6 +107,30 @@ class PerformanceMonitor {
     this.metrics.totalRequests++;
   }
 
+  // A cached "no such link" answer
+  recordNegativeHit() {
+    this.metrics.negativeHits++;
+    this.recordCacheHit();
+  }
+
+  // A miss that reused another request's MongoDB read instead of making its own
+  recordSharedLoad() {
+    this.metrics.sharedLoads++;
+  }
+
+  recordEarlyRefresh() {
+    this.metrics.earlyRefreshes++;
+  }
+
+  // Link lookups answered by this process's in-memory cache, without a Redis round trip
+  recordL1Hit() {
+    this.metrics.l1Hits++;
+  }
+
+  recordL1Miss() {
+    this.metrics.l1Misses++;
+  }
+
   recordRedisError() {
     this.metrics.redisErrors++;
   }
@@ -111,6 +151,7 @@ class PerformanceMonitor {
     return {
       ...this.metrics,
       cacheHitRate: this.metrics.totalRequests > 0 ? (this.metrics.cacheHits / this.metrics.totalRequests) * 100 : 0,
+      l1HitRate: this.metrics.l1Hits + this.metrics.l1Misses > 0 ? (this.metrics.l1Hits / (this.metrics.l1Hits + this.metrics.l1Misses)) * 100 : 0,
       errorRate: this.metrics.totalRequests > 0 ? (this.metrics.redisErrors / this.metrics.totalRequests) * 100 : 0
     };
   }
@@ -121,6 +162,11 @@ class PerformanceMonitor {
       cacheMisses: 0,
       redisErrors: 0,
       dbFallbacks: 0,
+      negativeHits: 0,
+      sharedLoads: 0,
+      earlyRefreshes: 0,
+      l1Hits: 0,
+      l1Misses: 0,
       avgResponseTime: 0,
       totalRequests: 0
     };
@@ -130,60 +176,245 @@ class PerformanceMonitor {
 
 const performanceMonitor = new PerformanceMonitor();
 
-// Cache keys
+// Cache keys - per-link keys use linkKey() so each branded domain has its own codes
 const CACHE_KEYS = {
-  SHORT_URL: (shortUrl) => `url:${shortUrl}`,
-  POPULAR_URLS: 'popular:urls',
-  ANALYTICS: (shortUrl) => `analytics:${shortUrl}`,
-  DAILY_CLICKS: (shortUrl, date) => `clicks:${shortUrl}:${date}`,
-  RATE_LIMIT: (ip) => `rate:${ip}`
+  SHORT_URL: (shortUrl, domain) => `url:${linkKey(shortUrl, domain)}`,
+  POPULAR_URLS: (window, limit) => `popular:urls:${window}:${limit}`,
+  POPULAR_ALL_TIME: 'popular:all',
+  POPULAR_ALL_TIME_SEEDED: 'popular:all:seeded',
+  POPULAR_HOUR: (hour) => `popular:h:${hour}`,
+  POPULAR_WINDOW: (window) => `popular:window:${window}`,
+  ANALYTICS: (key) => `analytics:${key}`,
+  DAILY_CLICKS: (key, date) => `clicks:${key}:${date}`,
+  RATE_LIMIT: (ip) => `rate:${ip}`,
+  LOAD_LOCK: (key) => `lock:url:${key}`,
+  REFRESH_LOCK: (key) => `lock:url-refresh:${key}`
+};
+
+// Rolling leaderboard windows, in hourly buckets
+const POPULAR_WINDOWS = {
+  all: null,
+  '24h': 24,
+  '7d': 7 * 24
 };
 
+// UTC hour bucket id, e.g. 2030010112
+const hourBucket = (date) => date.toISOString().slice(0, 13).replace(/[-T]/g, '');
+
 const CACHE_TTL = {
   SHORT_URL: 600, // 10 minutes (reduced for better cache turnover at 150 req/sec)
-  POPULAR_URLS: 300, // 5 minutes
+  MISSING_URL: 30, // 30 seconds - codes created meanwhile overwrite the entry anyway
+  POPULAR_URLS: 60, // 1 minute - leaderboards should feel live
+  POPULAR_HOUR: 8 * 86400, // hourly buckets outlive the longest (7d) window
+  POPULAR_ALL_TIME_SEEDED: 3600, // re-seeding hourly also corrects any drift from MongoDB's counts
+  POPULAR_WINDOW: 60, // merged rolling-window sets are rebuilt every minute
   ANALYTICS: 600, // 10 minutes (reduced for memory efficiency)
   DAILY_CLICKS: 86400, // 24 hours
   RATE_LIMIT: 1 // 1 second
 };
 
+// Stampede protection for link lookups
+const LOAD_LOCK_TTL_MS = 4000; // Longer than the MongoDB read may take
+const LOAD_WAIT_INTERVAL_MS = 50;
+const LOAD_MAX_WAITS = 10; // Then read MongoDB anyway rather than hang on a stuck lock holder
+const REFRESH_AHEAD_MS = 60000; // Entries still being hit in their last minute are reloaded early
+const REFRESH_LOCK_TTL_MS = 10000; // At most one early reload per link every 10s, across instances
+
+const POPULAR_SEED_SIZE = 1000; // Links copied from MongoDB into the all-time leaderboard
+
+// In-process (L1) cache in front of Redis for link entries
+const L1_MAX_ENTRIES = 5000;
+const L1_TTL_MS = 5000; // How stale an instance can be if it misses an invalidation
+const INVALIDATION_CHANNEL = 'cache:invalidate:url'; // Messages are link cache keys
+
+// Cached in place of a link for codes that don't exist, so scanners don't reach MongoDB
+const MISSING_LINK = { missing: true };
+const isMissingLink = (data) => data?.missing === true;
+
+const withExpiredFlag = (urlData) =>
+  urlData && !urlData.expired && isLinkExpired(urlData) ? { ...urlData, expired: true } : urlData;
+
+// cache key -> { value, redisExpiresAt }, so hits here still know when the Redis entry runs out
+const l1Cache = new LruCache({ maxEntries: L1_MAX_ENTRIES, ttlMs: L1_TTL_MS });
+
+// Keep a Redis read ({ value, ttlMs } from getWithTtl) locally; returns it for chaining
+const rememberLocally = (cacheKey, cached) => {
+  if (cached?.value) {
+    const redisExpiresAt = cached.ttlMs > 0 ? Date.now() + cached.ttlMs : null;
+    l1Cache.set(cacheKey, { value: cached.value, redisExpiresAt }, cached.ttlMs > 0 ? cached.ttlMs : L1_TTL_MS);
+  }
+  return cached;
+};
+
+// Same shape as getWithTtl; null when this process has nothing fresh
+const readLocally = (cacheKey) => {
+  const local = l1Cache.get(cacheKey);
+  if (!local) {
+    performanceMonitor.recordL1Miss();
+    return null;
+  }
+  performanceMonitor.recordL1Hit();
+  return { value: local.value, ttlMs: local.redisExpiresAt ? local.redisExpiresAt - Date.now() : -1 };
+};
+
+// Drop a link entry here and on every other instance; they re-read it from Redis on the next hit
+const invalidateLocalCopies = async (cacheKey) => {
+  l1Cache.delete(cacheKey);
+  await cacheService.publish(INVALIDATION_CHANNEL, cacheKey);
+};
+
+// Invalidations sent while this instance was disconnected are lost, so start over after a reconnect
+subscribe(INVALIDATION_CHANNEL, cacheKey => l1Cache.delete(cacheKey), () => l1Cache.clear());
+
+// cache key -> in-flight load, shared by every request in this process that misses on the same code
+const inFlightLoads = new Map();
+
+const readShortUrlFromDB = (shortUrl, domain) => Promise.race([
+  getShortUrlFromDB(shortUrl, domain),
+  new Promise((_, reject) => setTimeout(() => reject(new Error('DB timeout')), 3000))
+]);
+
+// Read a link from MongoDB into the cache (nothing is counted); null when it doesn't exist. Whoever
+// takes the Redis lock does the read, other instances poll the cache until it appears.
+const loadThroughLock = async (cacheKey, shortUrl, domain) => {
+  const lockKey = CACHE_KEYS.LOAD_LOCK(linkKey(shortUrl, domain));
+  const token = crypto.randomUUID();
+  const locked = await cacheService.acquireLock(lockKey, token, LOAD_LOCK_TTL_MS);
+
+  // Another instance is reading it - wait for the cache to fill (without Redis there is nobody to wait for)
+  if (locked === false) {
+    for (let wait = 0; wait < LOAD_MAX_WAITS; wait++) {
+      await new Promise(resolve => setTimeout(resolve, LOAD_WAIT_INTERVAL_MS));
+      const cached = rememberLocally(cacheKey, await cacheService.getWithTtl(cacheKey));
+      if (cached) {
+        performanceMonitor.recordSharedLoad();
+        return isMissingLink(cached.value) ? null : withExpiredFlag(cached.value);
+      }
+    }
+  }
+
+  try {
+    const urlData = await readShortUrlFromDB(shortUrl, domain);
+    if (!urlData) {
+      await cacheService.set(cacheKey, MISSING_LINK, CACHE_TTL.MISSING_URL);
+      rememberLocally(cacheKey, { value: MISSING_LINK, ttlMs: CACHE_TTL.MISSING_URL * 1000 });
+      return null;
+    }
+
+    // Never cache past the link's expiry
+    const ttl = urlData.expired ? 0 : capTtlToExpiry(CACHE_TTL.SHORT_URL, urlData.expiresAt);
+    if (ttl > 0) {
+      await cacheService.set(cacheKey, urlData, ttl);
+      rememberLocally(cacheKey, { value: urlData, ttlMs: ttl * 1000 });
+    }
+    return urlData;
+  } finally {
+    if (locked) {
+      cacheService.releaseLock(lockKey, token).catch(() => {});
+    }
+  }
+};
+
+const loadShortUrl = (shortUrl, domain) => {
+  const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl, domain);
+  const inFlight = inFlightLoads.get(cacheKey);
+  if (inFlight) {
+    performanceMonitor.recordSharedLoad();
+    return inFlight;
+  }
+
+  const load = loadThroughLock(cacheKey, shortUrl, domain).finally(() => inFlightLoads.delete(cacheKey));
+  inFlightLoads.set(cacheKey, load);
+  return load;
+};
+
+// Reload a hot entry before it expires, so its readers never all miss at once. The lock is left to
+// expire rather than released, which also spaces out reloads of entries that stay short-lived.
+const refreshShortUrl = async (cacheKey, shortUrl, domain) => {
+  const lockKey = CACHE_KEYS.REFRESH_LOCK(linkKey(shortUrl, domain));
+  if (!(await cacheService.acquireLock(lockKey, '1', REFRESH_LOCK_TTL_MS))) return;
+
+  performanceMonitor.recordEarlyRefresh();
+  const urlData = await readShortUrlFromDB(shortUrl, domain);
+  // A link that isn't in MongoDB (yet - see degraded-mode creation) keeps its current entry
+  const ttl = urlData && !urlData.expired ? capTtlToExpiry(CACHE_TTL.SHORT_URL, urlData.expiresAt) : 0;
+  if (ttl > 0) {
+    await cacheService.set(cacheKey, urlData, ttl);
+    rememberLocally(cacheKey, { value: urlData, ttlMs: ttl * 1000 });
+  }
+};
+
 export const urlCacheService = {
-  // Get URL with caching - Optimized for high concurrency
-  async getShortUrl(shortUrl) {
+  // Get URL with caching - Optimized for high concurrency; `domain` is null for the default domain
+  async getShortUrl(shortUrl, domain = null) {
     const startTime = Date.now();
     try {
-      // Try cache first with circuit breaker protection
-      const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl);
-      let urlData = await redisCircuitBreaker.execute(async () => {
-        return await Promise.race([
-          cacheService.get(cacheKey),
+      // Try this process's copy, then Redis with circuit breaker protection
+      const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl, domain);
+      const cached = readLocally(cacheKey) || await redisCircuitBreaker.execute(async () => {
+        return rememberLocally(cacheKey, await Promise.race([
+          cacheService.getWithTtl(cacheKey),
           new Promise((_, reject) => setTimeout(() => reject(new Error('Cache timeout')), 2000))
-        ]);
+        ]));
       });
+      let urlData = cached?.value;
+
+      if (isMissingLink(urlData)) {
+        performanceMonitor.recordNegativeHit();
+        performanceMonitor.recordResponseTime(Date.now() - startTime);
+        return null;
+      }
 
       if (urlData) {
         performanceMonitor.recordCacheHit();
-        // Increment click count asynchronously (fire and forget)
-        this.incrementClicks(shortUrl).catch(err => console.error('Click increment failed:', err));
+
+        // Hot entry about to expire (and its link isn't about to): reload it in the background
+        const linkOutlivesEntry = !urlData.expiresAt || new Date(urlData.expiresAt).getTime() - Date.now() > REFRESH_AHEAD_MS;
+        if (cached.ttlMs > 0 && cached.ttlMs < REFRESH_AHEAD_MS && linkOutlivesEntry) {
+          refreshShortUrl(cacheKey, shortUrl, domain).catch(err => console.error('Early cache refresh failed:', err.message));
+        }
+
+        // Enforce expiry on the cached path too
+        if (urlData.expiresAt && new Date(urlData.expiresAt).getTime() <= Date.now()) {
+          performanceMonitor.recordResponseTime(Date.now() - startTime);
+          return { ...urlData, expired: true };
+        }
+
+        // Protected and preview-only links are only counted once the visitor continues (see countUnlockedClick)
+        if (urlData.isProtected || urlData.forcePreview) {
+          performanceMonitor.recordResponseTime(Date.now() - startTime);
+          return urlData;
+        }
+
+        if (!(await this.countClick(shortUrl, urlData, domain))) {
+          performanceMonitor.recordResponseTime(Date.now() - startTime);
+          return { ...urlData, expired: true };
+        }
+
+        // Increment click count asynchronously (fire and forget); A/B links are tracked by the
+        // redirect once it knows which variant it served
+        if (!urlData.variants?.length) {
+          this.incrementClicks(shortUrl, domain).catch(err => console.error('Click increment failed:', err));
+        }
         performanceMonitor.recordResponseTime(Date.now() - startTime);
         return urlData;
       }
 
       performanceMonitor.recordCacheMiss();
-      console.log(`Cache miss for short URL: ${shortUrl}`);
+      console.log(`Cache miss for short URL: ${linkKey(shortUrl, domain)}`);
 
-      // Cache miss - get from database with increased timeout
-      const dbPromise = getShortUrlFromDB(shortUrl);
-      urlData = await Promise.race([
-        dbPromise,
-        new Promise((_, reject) => setTimeout(() => reject(new Error('DB timeout')), 3000))
-      ]);
+      // Cache miss - one MongoDB read per code at a time, however many requests are waiting on it
+      urlData = await loadShortUrl(shortUrl, domain);
 
-      if (urlData) {
-        // Cache asynchronously (fire and forget)
-        cacheService.set(cacheKey, urlData, CACHE_TTL.SHORT_URL).catch(err =>
-          console.error('Cache set failed:', err)
-        );
+      // Links that redirect straight away are counted here; the read above doesn't count anything
+      const followed = urlData && !urlData.expired && !urlData.isProtected && !urlData.forcePreview;
+      if (followed && !(await this.countClick(shortUrl, urlData, domain))) {
+        urlData = { ...urlData, expired: true };
+      }
+
+      // Keep the Redis counters and leaderboards in step
+      if (followed && !urlData.expired && !urlData.variants?.length) {
+        this.incrementClicks(shortUrl, domain).catch(err => console.error('Click increment failed:', err));
       }
 
       performanceMonitor.recordResponseTime(Date.now() - startTime);
@@ -194,11 +425,16 @@ export const urlCacheService = {
       // Fallback to database with reasonable timeout
       try {
         performanceMonitor.recordDbFallback();
-        console.log(`Falling back to database for short URL: ${shortUrl}`);
+        console.log(`Falling back to database for short URL: ${linkKey(shortUrl, domain)}`);
         const fallbackResult = await Promise.race([
-          getShortUrlFromDB(shortUrl),
+          getShortUrlFromDB(shortUrl, domain),
           new Promise((_, reject) => setTimeout(() => reject(new Error('Fallback timeout')), 2500))
         ]);
+        const followed = fallbackResult && !fallbackResult.expired && !fallbackResult.isProtected && !fallbackResult.forcePreview;
+        if (followed && !(await this.countClick(shortUrl, fallbackResult, domain))) {
+          performanceMonitor.recordResponseTime(Date.now() - startTime);
+          return { ...fallbackResult, expired: true };
+        }
         performanceMonitor.recordResponseTime(Date.now() - startTime);
         return fallbackResult;
       } catch (fallbackError) {
@@ -210,53 +446,116 @@ export const urlCacheService = {
     }
   },
 
-  // Increment click count (async, non-blocking)
-  async incrementClicks(shortUrl) {
+  // Look up a link without counting a click (QR codes, previews); null for missing links, expired: true once used up
+  async lookupShortUrl(shortUrl, domain = null) {
+    const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl, domain);
+    const cached = (readLocally(cacheKey) || rememberLocally(cacheKey, await cacheService.getWithTtl(cacheKey)))?.value;
+    if (isMissingLink(cached)) return null;
+    if (cached) return withExpiredFlag(cached);
+
+    return loadShortUrl(shortUrl, domain);
+  },
+
+  // Count the click for a protected link after a successful unlock, or a preview-only link once the
+  // visitor continues; false once maxClicks is used up
+  async countUnlockedClick(shortUrl, urlData, domain = null, variant = null) {
+    if (!(await this.countClick(shortUrl, urlData, domain))) {
+      return false;
+    }
+
+    this.incrementClicks(shortUrl, domain, variant).catch(err => console.error('Click increment failed:', err));
+    return true;
+  },
+
+  // Count a followed click in MongoDB: click-limited links straight away so the limit holds across
+  // instances, all others through the write-behind counter. false once maxClicks is used up.
+  async countClick(shortUrl, urlData, domain = null) {
+    if (!urlData.maxClicks) {
+      recordClick(shortUrl, domain);
+      return true;
+    }
+
+    const counted = await consumeLimitedClick(shortUrl, domain);
+    if (!counted) {
+      this.clearUrlCache(shortUrl, domain).catch(() => {});
+      return false;
+    }
+    return true;
+  },
+
+  // Increment click count (async, non-blocking); `variant` is the A/B variant that was served
+  async incrementClicks(shortUrl, domain = null, variant = null) {
     try {
+      const key = linkKey(shortUrl, domain);
       const today = new Date().toISOString().split('T')[0];
-      const clickKey = CACHE_KEYS.DAILY_CLICKS(shortUrl, today);
+      const clickKey = CACHE_KEYS.DAILY_CLICKS(key, today);
       
       // Increment daily clicks in Redis
       await cacheService.incr(clickKey, CACHE_TTL.DAILY_CLICKS);
       
       // Update analytics cache
-      const analyticsKey = CACHE_KEYS.ANALYTICS(shortUrl);
+      const analyticsKey = CACHE_KEYS.ANALYTICS(key);
       let analytics = await cacheService.get(analyticsKey) || { totalClicks: 0, dailyClicks: {} };
       
       analytics.totalClicks += 1;
       analytics.dailyClicks[today] = (analytics.dailyClicks[today] || 0) + 1;
+      if (variant) {
+        analytics.variants = analytics.variants || {};
+        analytics.variants[variant] = (analytics.variants[variant] || 0) + 1;
+      }
       
       await cacheService.set(analyticsKey, analytics, CACHE_TTL.ANALYTICS);
-      
+
+      await this.trackPopularity(key);
     } catch (error) {
       console.error('Error incrementing clicks:', error);
     }
   },
 
-  // Cache new URL
+  // Bump the all-time leaderboard and the current hourly bucket used for rolling windows (members are link keys)
+  async trackPopularity(key) {
+    await Promise.all([
+      cacheService.zincrby(CACHE_KEYS.POPULAR_ALL_TIME, 1, key),
+      cacheService.zincrby(CACHE_KEYS.POPULAR_HOUR(hourBucket(new Date())), 1, key, CACHE_TTL.POPULAR_HOUR)
+    ]);
+  },
+
+  // Cache new URL (under its urlData.domain)
   async cacheNewUrl(shortUrl, urlData) {
     try {
-      const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl);
-      await cacheService.set(cacheKey, urlData, CACHE_TTL.SHORT_URL);
-      console.log(`✅ Cached new URL: ${shortUrl}`);
+      const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl, urlData.domain);
+      const ttl = capTtlToExpiry(CACHE_TTL.SHORT_URL, urlData.expiresAt);
+      if (ttl <= 0) return;
+      await cacheService.set(cacheKey, urlData, ttl);
+      // Other instances may still hold a "no such link" entry for this code
+      await invalidateLocalCopies(cacheKey);
+      console.log(`✅ Cached new URL: ${linkKey(shortUrl, urlData.domain)}`);
     } catch (error) {
       console.error('Error caching new URL:', error);
     }
   },
 
-  // Get popular URLs
-  async getPopularUrls(limit = 10) {
+  // Get popular URLs for a window ('all', '24h' or '7d'), falling back to MongoDB when Redis is cold
+  async getPopularUrls(limit = 10, window = 'all') {
     try {
-      const cacheKey = CACHE_KEYS.POPULAR_URLS;
+      const cacheKey = CACHE_KEYS.POPULAR_URLS(window, limit);
       let popularUrls = await cacheService.get(cacheKey);
-      
-      if (!popularUrls) {
-        // This would typically come from database aggregation
-        // For now, return empty array
-        popularUrls = [];
-        await cacheService.set(cacheKey, popularUrls, CACHE_TTL.POPULAR_URLS);
+      if (popularUrls) return popularUrls;
+
+      // MongoDB answers when Redis has nothing (e.g. it is down)
+      let ranking = await this.getPopularityRanking(limit, window);
+      if (ranking.length === 0) {
+        ranking = await this.getPopularityRankingFromDB(limit, window);
       }
-      
+
+      // Attach link details; links deleted since they were ranked drop out
+      const links = await findShortUrlsByKeys(ranking.map(entry => parseLinkKey(entry.key)));
+      const linksByKey = new Map(links.map(link => [linkKey(link.short_url, link.domain), link]));
+      popularUrls = ranking
+        .filter(entry => linksByKey.has(entry.key))
+        .map(entry => ({ link: linksByKey.get(entry.key), clicks: entry.clicks }));
+
+      await cacheService.set(cacheKey, popularUrls, CACHE_TTL.POPULAR_URLS);
       return popularUrls;
     } catch (error) {
       console.error('Error getting popular URLs:', error);
@@ -264,11 +563,65 @@ export const urlCacheService = {
     }
   },
 
+  // The all-time leaderboard only sees clicks since Redis last lost its data, so (once an hour, on one
+  // instance) the most clicked links' MongoDB totals are merged in; members keep the higher score
+  async seedAllTimeRanking() {
+    const ttlMs = CACHE_TTL.POPULAR_ALL_TIME_SEEDED * 1000;
+    if (!(await cacheService.acquireLock(CACHE_KEYS.POPULAR_ALL_TIME_SEEDED, '1', ttlMs))) return;
+
+    try {
+      const links = await findMostClickedShortUrls(POPULAR_SEED_SIZE);
+      await cacheService.zaddGreater(CACHE_KEYS.POPULAR_ALL_TIME, links.map(link => ({
+        member: linkKey(link.short_url, link.domain),
+        score: link.clicks
+      })));
+    } catch (error) {
+      // Let the next request try again
+      await cacheService.releaseLock(CACHE_KEYS.POPULAR_ALL_TIME_SEEDED, '1');
+      throw error;
+    }
+  },
+
+  // Top-N from the Redis leaderboards, as [{ key, clicks }] with linkKey() keys
+  async getPopularityRanking(limit, window) {
+    let key = CACHE_KEYS.POPULAR_ALL_TIME;
+
+    const hours = POPULAR_WINDOWS[window];
+    if (!hours) {
+      await this.seedAllTimeRanking().catch(err => console.error('Seeding the all-time leaderboard failed:', err.message));
+    } else {
+      key = CACHE_KEYS.POPULAR_WINDOW(window);
+      if (!(await cacheService.exists(key))) {
+        const now = Date.now();
+        const bucketKeys = Array.from({ length: hours }, (_, i) =>
+          CACHE_KEYS.POPULAR_HOUR(hourBucket(new Date(now - i * 3600 * 1000)))
+        );
+        await cacheService.zunionstore(key, bucketKeys, CACHE_TTL.POPULAR_WINDOW);
+      }
+    }
+
+    const entries = await cacheService.zrevrangeWithScores(key, 0, limit - 1);
+    return entries.map(({ member, score }) => ({ key: member, clicks: score }));
+  },
+
+  async getPopularityRankingFromDB(limit, window) {
+    const hours = POPULAR_WINDOWS[window];
+    if (!hours) {
+      const links = await findMostClickedShortUrls(limit);
+      return links.map(link => ({ key: linkKey(link.short_url, link.domain), clicks: link.clicks }));
+    }
+
+    const since = new Date(Date.now() - hours * 3600 * 1000);
+    const rows = await aggregateTopLinks(since, limit);
+    return rows.map(row => ({ key: linkKey(row.short_url, row.domain), clicks: row.clicks }));
+  },
+
   // Rate limiting with token bucket to allow bursts while keeping sustained rate
   async checkRateLimit(ip, options = {}) {
     const {
       sustainedRps = 150,   // refill rate per second
       burstCapacity = 75,   // extra tokens allowed in bursts
+      cost = 1,             // tokens to consume; 0 only checks that one is available
     } = typeof options === 'number' ? { sustainedRps: options, burstCapacity: 75 } : options;
 
     try {
@@ -286,8 +639,8 @@ export const urlCacheService = {
       );
 
       let allowed = false;
-      if (tokens >= 1) {
-        tokens -= 1; // consume one token per request
+      if (tokens >= Math.max(1, cost)) {
+        tokens -= cost; // consume one token per request by default
         allowed = true;
       }
 
@@ -297,7 +650,7 @@ export const urlCacheService = {
       await cacheService.set(key, newState, 60);
 
       // Estimated reset time (seconds until full)
-      const resetSeconds = Math.ceil((sustainedRps + burstCapacity - tokens) / Math.max(1, sustainedRps));
+      const resetSeconds = Math.ceil((sustainedRps + burstCapacity - tokens) / Math.max(0.001, sustainedRps));
 
       return {
         allowed,
@@ -314,20 +667,21 @@ export const urlCacheService = {
   },
 
   // Clear cache for URL
-  async clearUrlCache(shortUrl) {
+  async clearUrlCache(shortUrl, domain = null) {
     try {
-      const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl);
+      const cacheKey = CACHE_KEYS.SHORT_URL(shortUrl, domain);
       await cacheService.del(cacheKey);
-      console.log(`🗑️ Cleared cache for ${shortUrl}`);
+      await invalidateLocalCopies(cacheKey);
+      console.log(`🗑️ Cleared cache for ${linkKey(shortUrl, domain)}`);
     } catch (error) {
       console.error('Error clearing URL cache:', error);
     }
   },
 
   // Get analytics
-  async getAnalytics(shortUrl) {
+  async getAnalytics(shortUrl, domain = null) {
     try {
-      const analyticsKey = CACHE_KEYS.ANALYTICS(shortUrl);
+      const analyticsKey = CACHE_KEYS.ANALYTICS(linkKey(shortUrl, domain));
       return await cacheService.get(analyticsKey) || { totalClicks: 0, dailyClicks: {} };
     } catch (error) {
       console.error('Error getting analytics:', error);
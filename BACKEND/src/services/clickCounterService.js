@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import { cacheService } from '../config/redis.config.js';
+import { addShortUrlClicks } from '../dao/shortUrl.js';
+import { linkKey, parseLinkKey } from '../utils/helper.js';
+
+// Write-behind click counts for MongoDB. Redirects add to a Redis hash (link key -> clicks) and a
+// timer writes the totals with one bulkWrite, so a hot link costs one update per flush rather than
+// one per redirect. Each flush first renames the hash to a batch key: new clicks start a fresh hash,
+// and a batch whose flush died with its process is picked up again by recoverClickCounts. A batch
+// keeps its id through such hand-overs and MongoDB skips links that already have it, so writing a
+// batch twice (a write that timed out but went through, two instances on one batch) is harmless.
+const FLUSH_INTERVAL_MS = 5000;
+const RECOVERY_INTERVAL_MS = 60000;
+const STALE_BATCH_MS = 60000; // Older batches belong to a flush that died (or is slow - a second writer is harmless)
+const MAX_BATCH_SIZE = 1000; // Links per bulkWrite
+
+const CACHE_KEYS = {
+  PENDING: 'clickcount:pending',
+  // `claimedAt` is when the current owner took the batch; `batchId` never changes
+  BATCH: (claimedAt, batchId) => `clickcount:batch:${claimedAt}:${batchId}`,
+  BATCH_PATTERN: 'clickcount:batch:*'
+};
+
+const newBatchId = () => crypto.randomBytes(8).toString('hex');
+const parseBatchKey = (batchKey) => {
+  const [, , claimedAt, batchId] = batchKey.split(':');
+  return { claimedAt: Number(claimedAt), batchId };
+};
+
+// Counts taken while Redis is unavailable; only these are lost if the process dies
+let localCounts = new Map();
+let localBatch = null; // { id, entries } - local counts being written, retried as they are
+let flushing = null;
+const stats = { recorded: 0, flushedClicks: 0, failedFlushes: 0, recoveredBatches: 0, localFallbacks: 0 };
+
+const addLocally = (key, clicks) => {
+  localCounts.set(key, (localCounts.get(key) || 0) + clicks);
+};
+
+// Count one click on a link without a click limit (those go through consumeLimitedClick)
+export const recordClick = (shortUrl, domain = null) => {
+  const key = linkKey(shortUrl, domain);
+  stats.recorded++;
+  cacheService.hincrby(CACHE_KEYS.PENDING, key, 1).then(result => {
+    if (result === null) {
+      stats.localFallbacks++;
+      addLocally(key, 1);
+    }
+  });
+};
+
+// entries: [[linkKey, clicks]]; `onWritten` runs after each bulkWrite with the keys it covered
+const writeCounts = async (batchId, entries, onWritten) => {
+  for (let start = 0; start < entries.length; start += MAX_BATCH_SIZE) {
+    const chunk = entries.slice(start, start + MAX_BATCH_SIZE);
+    await addShortUrlClicks(batchId, chunk.map(([key, clicks]) => {
+      const { shortId, domain } = parseLinkKey(key);
+      return { shortUrl: shortId, domain, clicks };
+    }));
+    stats.flushedClicks += chunk.reduce((sum, [, clicks]) => sum + clicks, 0);
+    if (onWritten) await onWritten(chunk.map(([key]) => key));
+  }
+};
+
+// Write one renamed batch; written fields are removed as it goes so a retry never counts them twice
+const flushBatch = async (batchKey) => {
+  const counts = await cacheService.hgetall(batchKey);
+  if (!counts) throw new Error(`Could not read click batch ${batchKey}`);
+
+  const entries = Object.entries(counts)
+    .map(([key, clicks]) => [key, Number(clicks)])
+    .filter(([, clicks]) => clicks > 0);
+  await writeCounts(parseBatchKey(batchKey).batchId, entries, keys => cacheService.hdel(batchKey, keys));
+  await cacheService.del(batchKey);
+};
+
+// A failed write is retried with the same id and entries on the next tick
+const flushLocalCounts = async () => {
+  if (!localBatch) {
+    if (localCounts.size === 0) return;
+    localBatch = { id: newBatchId(), entries: [...localCounts] };
+    localCounts = new Map();
+  }
+
+  await writeCounts(localBatch.id, localBatch.entries);
+  localBatch = null;
+};
+
+const flush = async () => {
+  try {
+    await flushLocalCounts();
+
+    const batchKey = CACHE_KEYS.BATCH(Date.now(), newBatchId());
+    if (await cacheService.rename(CACHE_KEYS.PENDING, batchKey)) {
+      await flushBatch(batchKey);
+    }
+  } catch (error) {
+    // A renamed batch stays in Redis and is retried by recoverClickCounts
+    stats.failedFlushes++;
+    console.error('Click count flush failed:', error.message);
+  }
+};
+
+export const flushClickCounts = async () => {
+  // Only one flush at a time; callers share the in-flight one
+  if (!flushing) {
+    flushing = flush().finally(() => { flushing = null; });
+  }
+  return flushing;
+};
+
+// Flush batches left behind by failed flushes or crashed instances. Claiming one renames it, so
+// when several instances recover at once only one of them writes each batch.
+export const recoverClickCounts = async () => {
+  const batchKeys = await cacheService.scanKeys(CACHE_KEYS.BATCH_PATTERN);
+  for (const batchKey of batchKeys) {
+    const { claimedAt, batchId } = parseBatchKey(batchKey);
+    if (Date.now() - claimedAt < STALE_BATCH_MS) continue;
+
+    const claimedKey = CACHE_KEYS.BATCH(Date.now(), batchId);
+    if (!(await cacheService.rename(batchKey, claimedKey))) continue;
+    try {
+      await flushBatch(claimedKey);
+      stats.recoveredBatches++;
+    } catch (error) {
+      stats.failedFlushes++;
+      console.error('Click count recovery failed:', error.message);
+    }
+  }
+};
+
+const flushTimer = setInterval(() => {
+  flushClickCounts().catch(err => console.error('Click count flush failed:', err));
+}, FLUSH_INTERVAL_MS);
+flushTimer.unref(); // Don't keep the process alive just for this
+
+const recoveryTimer = setInterval(() => {
+  recoverClickCounts().catch(err => console.error('Click count recovery failed:', err));
+}, RECOVERY_INTERVAL_MS);
+recoveryTimer.unref();
+
+export const getClickCounterStats = () => ({
+  ...stats,
+  localPending: localCounts.size + (localBatch?.entries.length ?? 0)
+});
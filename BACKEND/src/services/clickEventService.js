@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { insertClickEvents } from '../dao/clickEvent.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+
+// Click events are buffered in memory and written in batches so the redirect never waits on MongoDB
+const FLUSH_INTERVAL_MS = 2000;
+const MAX_BATCH_SIZE = 500;
+const MAX_BUFFERED_EVENTS = 20000; // Drop the oldest events beyond this while MongoDB is unavailable
+
+// Without a secret salt every IPv4 hash can be reversed by trying all 2^32 addresses, so no hash
+// is stored (and unique visitors aren't counted) until one is configured
+const IP_HASH_SALT = process.env.IP_HASH_SALT || null;
+if (!IP_HASH_SALT) {
+  console.error('⚠️ IP_HASH_SALT is not set - click events are stored without visitor hashes');
+}
+
+let buffer = [];
+let flushing = null;
+const stats = { recorded: 0, written: 0, dropped: 0, failedFlushes: 0 };
+
+// undefined leaves the field out, so aggregations don't count "no hash" as one visitor
+const hashIp = (ip) => ip && IP_HASH_SALT ? crypto.createHash('sha256').update(`${IP_HASH_SALT}:${ip}`).digest('hex') : undefined;
+
+const referrerHost = (referrer) => {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).hostname.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+};
+
+const flush = async () => {
+  while (buffer.length > 0) {
+    const batch = buffer.splice(0, MAX_BATCH_SIZE);
+    try {
+      await insertClickEvents(batch);
+      stats.written += batch.length;
+    } catch (error) {
+      stats.failedFlushes++;
+      // Put the batch back and retry on the next tick; events that did get written are skipped then,
+      // since each one carries its own _id
+      buffer = batch.concat(buffer);
+      if (buffer.length > MAX_BUFFERED_EVENTS) {
+        const overflow = buffer.length - MAX_BUFFERED_EVENTS;
+        buffer.splice(0, overflow);
+        stats.dropped += overflow;
+      }
+      return;
+    }
+  }
+};
+
+export const flushClickEvents = async () => {
+  // Only one flush at a time; callers share the in-flight one
+  if (!flushing) {
+    flushing = flush().finally(() => { flushing = null; });
+  }
+  return flushing;
+};
+
+const flushTimer = setInterval(() => {
+  flushClickEvents().catch(err => console.error('Click event flush failed:', err));
+}, FLUSH_INTERVAL_MS);
+flushTimer.unref(); // Don't keep the process alive just for this
+
+// Record a click from the redirect path - synchronous and allocation-light; returns the event (null on error)
+export const recordClickEvent = (req, shortUrl, domain = null, variant = null) => {
+  try {
+    const { browser, os, device } = parseUserAgent(req.get('user-agent'));
+    const event = {
+      _id: new mongoose.Types.ObjectId(), // Fixed up front so a retried batch can't write an event twice
+      short_url: shortUrl,
+      domain,
+      timestamp: new Date(),
+      referrer: referrerHost(req.get('referer')),
+      browser,
+      os,
+      device,
+      variant,
+      ipHash: hashIp(req.ip)
+    };
+    buffer.push(event);
+    stats.recorded++;
+
+    if (buffer.length >= MAX_BATCH_SIZE) {
+      flushClickEvents().catch(err => console.error('Click event flush failed:', err));
+    }
+    return event;
+  } catch (error) {
+    console.error('Error recording click event:', error);
+    return null;
+  }
+};
+
+export const getClickEventStats = () => ({
+  ...stats,
+  buffered: buffer.length
+});
@@ -0,0 +1,195 @@
+import mongoose from "mongoose";
+import { cacheService, subscribe } from "../config/redis.config.js";
+import { listDomainRules, createDomainRule, deleteDomainRule } from "../dao/domainRule.js";
+import { RULE_TYPES, RULE_MATCH_TYPES } from "../models/domainRuleSchema.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errorHandler.js";
+import { normalizeHostname } from "../utils/url.js";
+import { findUnsafeRegexConstruct } from "../utils/regexSafety.js";
+
+// Allowlist-only deployments reject every destination that no allow rule matches
+const ALLOWLIST_ONLY = process.env.DOMAIN_ALLOWLIST_ONLY === 'true';
+
+const CACHE_KEYS = {
+  DOMAIN_RULES: 'rules:domain'
+};
+
+// Tells every instance to drop its in-memory rules after an admin change
+const INVALIDATION_CHANNEL = 'cache:invalidate:rules';
+
+const CACHE_TTL = {
+  DOMAIN_RULES: 300 // 5 minutes - admin changes clear it
+};
+
+// Compiled rules are also kept in memory so the redirect path rarely touches Redis
+const LOCAL_RULES_TTL_MS = 30000;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_NOTE_LENGTH = 200;
+
+let localRules = null; // { loadedAt, rules }
+
+const normalizeHost = (host) => host.trim().toLowerCase().replace(/\.$/, '');
+
+const compileRule = (rule) => {
+  const compiled = { ...rule, id: rule._id.toString() };
+  if (rule.matchType === 'regex') {
+    // Rules stored before the complexity check get the same treatment as new ones
+    const unsafe = findUnsafeRegexConstruct(rule.pattern);
+    if (unsafe) throw new Error(`pattern is too complex: ${unsafe}`);
+    compiled.regex = new RegExp(rule.pattern, 'i');
+  } else if (rule.matchType === 'wildcard') {
+    compiled.suffix = normalizeHost(rule.pattern.replace(/^\*\./, ''));
+  } else {
+    compiled.host = normalizeHost(rule.pattern);
+  }
+  return compiled;
+};
+
+const matches = (rule, hostname) => {
+  if (rule.regex) return rule.regex.test(hostname);
+  if (rule.suffix) return hostname === rule.suffix || hostname.endsWith(`.${rule.suffix}`);
+  return hostname === rule.host;
+};
+
+const loadRules = async () => {
+  if (localRules && Date.now() - localRules.loadedAt < LOCAL_RULES_TTL_MS) {
+    return localRules.rules;
+  }
+
+  try {
+    let rules = await cacheService.get(CACHE_KEYS.DOMAIN_RULES);
+    if (!rules) {
+      rules = await listDomainRules();
+      await cacheService.set(CACHE_KEYS.DOMAIN_RULES, rules, CACHE_TTL.DOMAIN_RULES);
+    }
+
+    const compiled = [];
+    for (const rule of rules) {
+      try {
+        compiled.push(compileRule(rule));
+      } catch (error) {
+        console.error(`Skipping invalid domain rule ${rule._id}:`, error.message);
+      }
+    }
+    localRules = { loadedAt: Date.now(), rules: compiled };
+  } catch (error) {
+    // Keep serving the last known rules rather than failing every request
+    console.error('Error loading domain rules:', error.message);
+    if (!localRules) return [];
+  }
+
+  return localRules.rules;
+};
+
+const invalidateRules = async () => {
+  localRules = null;
+  await cacheService.del(CACHE_KEYS.DOMAIN_RULES);
+  await cacheService.publish(INVALIDATION_CHANNEL, 'changed');
+};
+
+// Changes made while this instance was disconnected are missed, so reload after a reconnect too
+subscribe(INVALIDATION_CHANNEL, () => { localRules = null; }, () => { localRules = null; });
+
+// { allowed, reason } for a validated http(s) URL; block rules win over allow rules
+export const checkDestination = async (url) => {
+  let hostname;
+  try {
+    hostname = normalizeHost(new URL(url).hostname);
+  } catch {
+    return { allowed: false, reason: 'Destination URL is malformed' };
+  }
+
+  const rules = await loadRules();
+
+  const blockedBy = rules.find(rule => rule.type === 'block' && matches(rule, hostname));
+  if (blockedBy) {
+    return { allowed: false, reason: 'Destination domain is blocked', ruleId: blockedBy.id };
+  }
+
+  if (ALLOWLIST_ONLY && !rules.some(rule => rule.type === 'allow' && matches(rule, hostname))) {
+    return { allowed: false, reason: 'Destination domain is not on the allowlist' };
+  }
+
+  return { allowed: true };
+};
+
+const toPublicRule = (rule) => ({
+  id: rule._id.toString(),
+  type: rule.type,
+  matchType: rule.matchType,
+  pattern: rule.pattern,
+  note: rule.note,
+  createdAt: rule.createdAt
+});
+
+export const listRules = async () => {
+  const rules = await listDomainRules();
+  return { allowlistOnly: ALLOWLIST_ONLY, rules: rules.map(toPublicRule) };
+};
+
+export const addRule = async (adminId, { type, matchType, pattern, note } = {}) => {
+  if (!RULE_TYPES.includes(type)) {
+    throw new BadRequestError(`type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+  if (!RULE_MATCH_TYPES.includes(matchType)) {
+    throw new BadRequestError(`matchType must be one of: ${RULE_MATCH_TYPES.join(', ')}`);
+  }
+  if (typeof pattern !== 'string' || !pattern.trim() || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new BadRequestError(`pattern is required (max ${MAX_PATTERN_LENGTH} characters)`);
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw new BadRequestError(`note must be a string (max ${MAX_NOTE_LENGTH} characters)`);
+  }
+
+  let value = pattern.trim();
+  if (matchType === 'regex') {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      throw new BadRequestError(`pattern is not a valid regular expression: ${error.message}`);
+    }
+    const unsafe = findUnsafeRegexConstruct(value);
+    if (unsafe) {
+      throw new BadRequestError(`pattern is too complex: ${unsafe}`);
+    }
+  } else {
+    if (matchType === 'wildcard' && !value.startsWith('*.')) {
+      throw new BadRequestError("wildcard patterns must look like *.example.com");
+    }
+    // Hosts are compared in punycode, like stored URLs
+    const host = normalizeHostname(value.replace(/^\*\./, ''));
+    if (!host) {
+      throw new BadRequestError("pattern must be a hostname like example.com");
+    }
+    value = matchType === 'wildcard' ? `*.${host}` : host;
+  }
+
+  try {
+    const rule = await createDomainRule({
+      type, matchType, pattern: value,
+      note,
+      createdBy: adminId
+    });
+    await invalidateRules();
+    return toPublicRule(rule);
+  } catch (error) {
+    if (error.message === 'Rule already exists') {
+      throw new ConflictError('An identical rule already exists');
+    }
+    throw error;
+  }
+};
+
+export const removeRule = async (ruleId) => {
+  if (!mongoose.isValidObjectId(ruleId)) {
+    throw new NotFoundError('Rule not found');
+  }
+
+  const rule = await deleteDomainRule(ruleId);
+  if (!rule) {
+    throw new NotFoundError('Rule not found');
+  }
+
+  await invalidateRules();
+  return toPublicRule(rule);
+};
@@ -0,0 +1,183 @@
+import mongoose from "mongoose";
+import { cacheService } from "../config/redis.config.js";
+import { listDomains, findDomainById, createDomain, deleteDomain } from "../dao/domain.js";
+import { findUserById, updateUserSettings } from "../dao/user.js";
+import { countShortUrlsOnDomain } from "../dao/shortUrl.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, UnauthorizedError } from "../utils/errorHandler.js";
+import { normalizeHostname } from "../utils/url.js";
+
+const CACHE_KEYS = {
+  DOMAINS: 'domains:registered'
+};
+
+const CACHE_TTL = {
+  DOMAINS: 300 // 5 minutes - admin changes clear it
+};
+
+// Every redirect resolves its Host header, so the registered domains are also kept in memory
+const LOCAL_DOMAINS_TTL_MS = 30000;
+
+let localDomains = null; // { loadedAt, byHostname: Map<hostname, { id, hostname, owner }> }
+
+const toPublicDomain = (domain) => ({
+  id: domain._id.toString(),
+  hostname: domain.hostname,
+  owner: domain.owner ? domain.owner.toString() : null,
+  createdAt: domain.createdAt
+});
+
+const loadDomains = async () => {
+  if (localDomains && Date.now() - localDomains.loadedAt < LOCAL_DOMAINS_TTL_MS) {
+    return localDomains.byHostname;
+  }
+
+  try {
+    let domains = await cacheService.get(CACHE_KEYS.DOMAINS);
+    if (!domains) {
+      domains = (await listDomains()).map(toPublicDomain);
+      await cacheService.set(CACHE_KEYS.DOMAINS, domains, CACHE_TTL.DOMAINS);
+    }
+    localDomains = { loadedAt: Date.now(), byHostname: new Map(domains.map(domain => [domain.hostname, domain])) };
+  } catch (error) {
+    // Keep serving the last known domains rather than failing every request
+    console.error('Error loading domains:', error.message);
+    if (!localDomains) return new Map();
+  }
+
+  return localDomains.byHostname;
+};
+
+const invalidateDomains = async () => {
+  localDomains = null;
+  await cacheService.del(CACHE_KEYS.DOMAINS);
+};
+
+// Links on the APP_URL host are stored with domain null
+const defaultHostname = () => {
+  try {
+    return new URL(process.env.APP_URL).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// Shared domains (no owner) are open to everyone; owned ones to their owner and admins
+const canUseDomain = (user, domain) =>
+  !domain.owner || (!!user && (user.role === 'admin' || domain.owner === user.id));
+
+// Domain whose codes a request addresses: a registered branded hostname, otherwise null (APP_URL)
+export const resolveRequestDomain = async (hostname) => {
+  if (!hostname) return null;
+  const host = hostname.toLowerCase();
+  const domains = await loadDomains();
+  return domains.has(host) ? host : null;
+};
+
+// Domain for a new link: the requested one, else the account default, else null (APP_URL)
+export const resolveLinkDomain = async (user, requested, defaultDomain = null) => {
+  if (requested === undefined || requested === null || requested === '') {
+    if (!defaultDomain) return null;
+    // A default that has since been removed or reassigned falls back to APP_URL
+    const domain = (await loadDomains()).get(defaultDomain);
+    return domain && canUseDomain(user, domain) ? domain.hostname : null;
+  }
+
+  const hostname = normalizeHostname(requested);
+  if (!hostname) {
+    throw new BadRequestError("domain must be a hostname like go.example.com");
+  }
+  if (hostname === defaultHostname()) return null;
+
+  const domain = (await loadDomains()).get(hostname);
+  if (!domain) {
+    throw new BadRequestError(`Domain '${hostname}' is not registered`);
+  }
+  if (!canUseDomain(user, domain)) {
+    throw new ForbiddenError(`You can't create links on '${hostname}'`);
+  }
+  return hostname;
+};
+
+// Domains the caller can create links on, plus their current default
+export const listAvailableDomains = async (user) => {
+  const [domains, account] = await Promise.all([loadDomains(), findUserById(user.id)]);
+  if (!account) {
+    throw new UnauthorizedError("User no longer exists");
+  }
+
+  return {
+    defaultDomain: account.defaultDomain ?? null,
+    domains: [...domains.values()]
+      .filter(domain => canUseDomain(user, domain))
+      .map(({ hostname, owner }) => ({ hostname, shared: !owner }))
+  };
+};
+
+// null (or the APP_URL host) resets the default to APP_URL
+export const setDefaultDomain = async (user, requested) => {
+  if (requested === undefined) {
+    throw new BadRequestError("domain is required (null for the default domain)");
+  }
+
+  const defaultDomain = await resolveLinkDomain(user, requested);
+  const account = await updateUserSettings(user.id, { defaultDomain });
+  if (!account) {
+    throw new UnauthorizedError("User no longer exists");
+  }
+  return { defaultDomain };
+};
+
+export const listRegisteredDomains = async () => {
+  const domains = await listDomains();
+  return { defaultDomain: defaultHostname(), domains: domains.map(toPublicDomain) };
+};
+
+export const registerDomain = async (adminId, { hostname, owner } = {}) => {
+  const normalized = normalizeHostname(hostname);
+  if (!normalized) {
+    throw new BadRequestError("hostname must be a hostname like go.example.com");
+  }
+  if (normalized === defaultHostname()) {
+    throw new BadRequestError("This hostname is already the default domain (APP_URL)");
+  }
+
+  if (owner !== undefined && owner !== null) {
+    if (!mongoose.isValidObjectId(owner) || !(await findUserById(owner))) {
+      throw new BadRequestError("owner must be the id of an existing user");
+    }
+  }
+
+  try {
+    const domain = await createDomain({ hostname: normalized, owner: owner ?? null, createdBy: adminId });
+    await invalidateDomains();
+    return toPublicDomain(domain);
+  } catch (error) {
+    if (error.message === 'Domain already exists') {
+      throw new ConflictError('This domain is already registered');
+    }
+    throw error;
+  }
+};
+
+export const removeDomain = async (domainId) => {
+  if (!mongoose.isValidObjectId(domainId)) {
+    throw new NotFoundError('Domain not found');
+  }
+
+  const existing = await findDomainById(domainId);
+  if (!existing) {
+    throw new NotFoundError('Domain not found');
+  }
+  // Deleting it would strand the links; their codes only resolve on this host
+  if (await countShortUrlsOnDomain(existing.hostname) > 0) {
+    throw new ConflictError('Domain still has links - delete them first');
+  }
+
+  const domain = await deleteDomain(domainId);
+  if (!domain) {
+    throw new NotFoundError('Domain not found');
+  }
+
+  await invalidateDomains();
+  return toPublicDomain(domain);
+};
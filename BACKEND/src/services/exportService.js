@@ -0,0 +1,72 @@
+import { streamShortUrls } from "../dao/shortUrl.js";
+import { flushClickEvents } from "./clickEventService.js";
+import { toPublicLink } from "./linkService.js";
+import { toCsvRow } from "../utils/csv.js";
+import { BadRequestError } from "../utils/errorHandler.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const BASE_COLUMNS = ['shortId', 'domain', 'shortUrl', 'originalUrl', 'clicks', 'createdAt', 'expiresAt', 'maxClicks', 'passwordProtected', 'forcePreview', 'redirectType', 'forwardQuery'];
+const STATS_COLUMNS = ['trackedClicks', 'uniqueVisitors', 'lastClickAt'];
+
+const toExportRow = (link, withStats) => {
+  const row = toPublicLink(link);
+  if (withStats) {
+    row.trackedClicks = link.stats?.trackedClicks ?? 0;
+    row.uniqueVisitors = link.stats?.uniqueVisitors ?? 0;
+    row.lastClickAt = link.stats?.lastClickAt ?? null;
+  }
+  return row;
+};
+
+const formatValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+export const validateExportOptions = ({ format = 'csv' } = {}) => {
+  if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new BadRequestError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return EXPORT_FORMATS[format];
+};
+
+// Yields the export as text chunks, reading links through a MongoDB cursor
+export async function* exportLinks(user, { format = 'csv', withStats = false, all = false } = {}) {
+  validateExportOptions({ format });
+
+  if (withStats) {
+    // Include clicks still buffered on this instance
+    await flushClickEvents();
+  }
+
+  // Admins can export every link with all=true
+  const userId = user.role === 'admin' && all ? null : user.id;
+  const cursor = streamShortUrls({ userId, withStats });
+  const columns = withStats ? [...BASE_COLUMNS, ...STATS_COLUMNS] : BASE_COLUMNS;
+
+  if (format === 'csv') yield toCsvRow(columns);
+  if (format === 'json') yield '[';
+
+  let first = true;
+  try {
+    for await (const link of cursor) {
+      const row = toExportRow(link, withStats);
+
+      if (format === 'csv') {
+        yield toCsvRow(columns.map(column => formatValue(row[column])));
+      } else if (format === 'json') {
+        yield `${first ? '\n' : ',\n'}${JSON.stringify(row)}`;
+      } else {
+        yield `${JSON.stringify(row)}\n`;
+      }
+      first = false;
+    }
+  } finally {
+    // Also runs when the client disconnects and the consumer stops early
+    await cursor.close();
+  }
+
+  if (format === 'json') yield first ? ']' : '\n]';
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { cacheService } from '../config/redis.config.js';
+import { insertShortUrlIfMissing } from '../dao/shortUrl.js';
+import { linkKey } from '../utils/helper.js';
+
+// Durable queue of links handed out while MongoDB was too slow to save them. Entries wait in a Redis
+// list (new ones at the head, the oldest at the tail); the worker moves them one at a time to a
+// processing list and stamps the claim, so an entry whose worker died (or whose save failed) becomes
+// visible again after VISIBILITY_TIMEOUT_MS. Saves are idempotent upserts, so replaying an entry
+// that was already written is harmless.
+const POLL_INTERVAL_MS = 1000;
+const MAX_ENTRIES_PER_TICK = 50;
+const VISIBILITY_TIMEOUT_MS = 30000; // Also the delay before a failed save is retried
+const REAP_INTERVAL_MS = 10000;
+const MAX_REAPED_PER_RUN = 500;
+const MAX_ATTEMPTS = 10; // Failed saves while MongoDB is up (~5 minutes) before an entry is dead-lettered
+const PERMANENT_ERRORS = ['ValidationError', 'CastError', 'StrictModeError']; // Retrying can't fix these
+
+const CACHE_KEYS = {
+  PENDING: 'outbox:links:pending',
+  PROCESSING: 'outbox:links:processing',
+  CLAIMS: 'outbox:links:claims', // entry id -> when a worker took it
+  ATTEMPTS: 'outbox:links:attempts', // entry id -> failed saves so far
+  DEAD: 'outbox:links:dead' // Entries that can't be saved: their code belongs to another link, or saving keeps failing
+};
+
+// Entries that couldn't be queued in Redis either; retried from memory (lost if the process dies)
+let localEntries = [];
+let draining = null;
+let lastReapAt = 0;
+const stats = { enqueued: 0, persisted: 0, failedAttempts: 0, requeued: 0, dead: 0, localFallbacks: 0 };
+
+// Queue a link whose save timed out; resolves once the entry is stored
+export const enqueuePendingShortUrl = async ({ shortUrl, url, userId, options = {} }) => {
+  const entry = { id: crypto.randomUUID(), shortUrl, url, userId: userId ?? null, options, enqueuedAt: Date.now() };
+  stats.enqueued++;
+
+  if ((await cacheService.lpush(CACHE_KEYS.PENDING, JSON.stringify(entry))) === null) {
+    stats.localFallbacks++;
+    localEntries.push(entry);
+  }
+};
+
+// true once the link is stored (now or by an earlier attempt); throws on errors worth retrying
+const persistEntry = async (entry) => {
+  const stored = await insertShortUrlIfMissing(entry.shortUrl, entry.url, entry.userId, entry.options);
+  const ours = stored.full_url === entry.url && String(stored.user ?? '') === String(entry.userId ?? '');
+  if (ours) {
+    stats.persisted++;
+    return true;
+  }
+
+  // Someone else's link took the code before this one was saved - nothing a retry can fix
+  stats.dead++;
+  console.error(`❌ Pending link ${linkKey(entry.shortUrl, entry.options.domain)} lost its code to another link`);
+  return false;
+};
+
+const isPermanentFailure = (error) => PERMANENT_ERRORS.includes(error.cause?.name);
+
+// Count a failed save; true once the entry should be given up on. Failures while MongoDB is
+// unreachable aren't the entry's fault and don't count.
+const recordFailure = async (entryId, error) => {
+  if (isPermanentFailure(error)) return true;
+  if (mongoose.connection.readyState !== 1) return false;
+
+  const attempts = await cacheService.hincrby(CACHE_KEYS.ATTEMPTS, entryId, 1);
+  return attempts !== null && attempts >= MAX_ATTEMPTS;
+};
+
+const processEntry = async (raw) => {
+  const entry = JSON.parse(raw);
+  await cacheService.hset(CACHE_KEYS.CLAIMS, entry.id, Date.now());
+
+  try {
+    if (!(await persistEntry(entry))) {
+      await cacheService.rpush(CACHE_KEYS.DEAD, raw);
+    }
+  } catch (error) {
+    stats.failedAttempts++;
+    if (!(await recordFailure(entry.id, error))) {
+      // Leave it claimed; the reaper puts it back once the visibility timeout has passed
+      console.error(`⏳ Saving pending link ${entry.shortUrl} failed, retrying later:`, error.message);
+      return;
+    }
+    stats.dead++;
+    console.error(`❌ Giving up on pending link ${linkKey(entry.shortUrl, entry.options.domain)}:`, error.message);
+    await cacheService.rpush(CACHE_KEYS.DEAD, raw);
+  }
+
+  await cacheService.lrem(CACHE_KEYS.PROCESSING, -1, raw);
+  await cacheService.hdel(CACHE_KEYS.CLAIMS, [entry.id]);
+  await cacheService.hdel(CACHE_KEYS.ATTEMPTS, [entry.id]);
+};
+
+// Return entries whose claim is older than the visibility timeout to the front of the queue
+const reapExpiredClaims = async () => {
+  const claimed = await cacheService.lrange(CACHE_KEYS.PROCESSING, -MAX_REAPED_PER_RUN, -1);
+  for (const raw of claimed) {
+    const { id } = JSON.parse(raw);
+    // A claim stamped only now is a worker that died between taking the entry and stamping it
+    if (await cacheService.hsetnx(CACHE_KEYS.CLAIMS, id, Date.now())) continue;
+
+    const claimedAt = Number(await cacheService.hget(CACHE_KEYS.CLAIMS, id));
+    if (Date.now() - claimedAt < VISIBILITY_TIMEOUT_MS) continue;
+
+    // Only the instance that removes it puts it back
+    if ((await cacheService.lrem(CACHE_KEYS.PROCESSING, -1, raw)) === 1) {
+      await cacheService.rpush(CACHE_KEYS.PENDING, raw);
+      await cacheService.hdel(CACHE_KEYS.CLAIMS, [id]);
+      stats.requeued++;
+    }
+  }
+};
+
+const drainLocalEntries = async () => {
+  const entries = localEntries;
+  localEntries = [];
+  for (const [index, entry] of entries.entries()) {
+    try {
+      await persistEntry(entry);
+    } catch (error) {
+      stats.failedAttempts++;
+      if (!isPermanentFailure(error)) {
+        localEntries.push(...entries.slice(index));
+        return;
+      }
+      // Keep it in the dead-letter list if Redis is back, else at least in the log
+      stats.dead++;
+      console.error(`❌ Giving up on pending link ${linkKey(entry.shortUrl, entry.options.domain)}:`, error.message);
+      if ((await cacheService.rpush(CACHE_KEYS.DEAD, JSON.stringify(entry))) === null) {
+        console.error('Dead pending link:', JSON.stringify(entry));
+      }
+    }
+  }
+};
+
+const drain = async () => {
+  try {
+    await drainLocalEntries();
+
+    if (Date.now() - lastReapAt >= REAP_INTERVAL_MS) {
+      lastReapAt = Date.now();
+      await reapExpiredClaims();
+    }
+
+    for (let processed = 0; processed < MAX_ENTRIES_PER_TICK; processed++) {
+      const raw = await cacheService.rpoplpush(CACHE_KEYS.PENDING, CACHE_KEYS.PROCESSING);
+      if (!raw) break;
+      await processEntry(raw);
+    }
+  } catch (error) {
+    console.error('Link outbox drain failed:', error.message);
+  }
+};
+
+export const drainLinkOutbox = async () => {
+  // Only one drain at a time; callers share the in-flight one
+  if (!draining) {
+    draining = drain().finally(() => { draining = null; });
+  }
+  return draining;
+};
+
+const drainTimer = setInterval(() => {
+  drainLinkOutbox().catch(err => console.error('Link outbox drain failed:', err));
+}, POLL_INTERVAL_MS);
+drainTimer.unref(); // Don't keep the process alive just for this
+
+// Queue depth and the age of the oldest entry still waiting to be saved
+export const getLinkOutboxStats = async () => {
+  const [pending, processing, [oldestPending], [oldestClaimed]] = await Promise.all([
+    cacheService.llen(CACHE_KEYS.PENDING),
+    cacheService.llen(CACHE_KEYS.PROCESSING),
+    cacheService.lrange(CACHE_KEYS.PENDING, -1, -1),
+    cacheService.lrange(CACHE_KEYS.PROCESSING, -1, -1)
+  ]);
+
+  const enqueuedAt = [oldestPending, oldestClaimed]
+    .filter(Boolean)
+    .map(raw => JSON.parse(raw).enqueuedAt)
+    .concat(localEntries.map(entry => entry.enqueuedAt));
+
+  return {
+    ...stats,
+    pending,
+    processing,
+    local: localEntries.length,
+    oldestPendingAgeMs: enqueuedAt.length > 0 ? Date.now() - Math.min(...enqueuedAt) : 0
+  };
+};
@@ -0,0 +1,228 @@
+import bcrypt from "bcryptjs";
+import { findShortUrl, findShortUrlWithPassword, listShortUrls, updateShortUrl, deleteShortUrl } from "../dao/shortUrl.js";
+import { deleteClickEvents } from "../dao/clickEvent.js";
+import { urlCacheService } from "./cacheService.js";
+import { buildShortUrl, validateExpiryOptions, validateLinkPassword, validateRedirectOptions } from "../utils/helper.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errorHandler.js";
+import { validateUrl } from "../utils/url.js";
+import { validateTargets } from "../utils/targeting.js";
+import { validateVariants } from "../utils/variants.js";
+import { checkDestination } from "./domainRuleService.js";
+import { forgetExpiryNotification } from "./webhookService.js";
+
+const SORT_FIELDS = ['createdAt', 'clicks'];
+const LINK_PASSWORD_BCRYPT_ROUNDS = 10;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export const toPublicLink = (link) => ({
+  shortId: link.short_url,
+  domain: link.domain ?? null,
+  shortUrl: buildShortUrl(link.short_url, link.domain),
+  originalUrl: link.full_url,
+  custom: !!link.custom,
+  clicks: link.clicks,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt ?? null,
+  maxClicks: link.maxClicks ?? null,
+  passwordProtected: !!link.isProtected,
+  forcePreview: !!link.forcePreview,
+  redirectType: link.redirectType ?? 302,
+  forwardQuery: !!link.forwardQuery,
+  targets: (link.targets ?? []).map(({ url, device, os, language }) => ({ url, device, os, language })),
+  variants: (link.variants ?? []).map(({ name, url, weight }) => ({ name, url, weight }))
+});
+
+// Schema fields for protecting a link, or for removing protection with null
+export const buildPasswordFields = async (password) => {
+  if (password === null) {
+    return { password: null, isProtected: false };
+  }
+
+  const validation = validateLinkPassword(password);
+  if (!validation.valid) {
+    throw new BadRequestError(validation.error);
+  }
+  return {
+    password: await bcrypt.hash(password, LINK_PASSWORD_BCRYPT_ROUNDS),
+    isProtected: true
+  };
+};
+
+export const verifyLinkPassword = async (shortId, password, domain = null) => {
+  if (typeof password !== 'string' || !password) return false;
+
+  const link = await findShortUrlWithPassword(shortId, domain);
+  if (!link?.password) return false;
+  return bcrypt.compare(password, link.password);
+};
+
+const canManage = (user, link) => user.role === 'admin' || (link.user && link.user.toString() === user.id);
+
+// `?domain=` picks a link on a branded domain; without it the default (APP_URL) domain is used
+const normalizeDomainParam = (domain) => (typeof domain === 'string' && domain ? domain.toLowerCase() : null);
+
+// Load a link the caller may manage; links owned by someone else look missing
+const getOwnedLink = async (user, shortId, domain) => {
+  const link = await findShortUrl(shortId, domain);
+  if (!link || !canManage(user, link)) {
+    throw new NotFoundError("Short URL not found");
+  }
+  return link;
+};
+
+export const listLinks = async (user, { page = 1, limit = DEFAULT_PAGE_SIZE, sort = 'createdAt', order = 'desc', all = false, domain } = {}) => {
+  const pageNumber = Number.parseInt(page, 10);
+  const pageSize = Number.parseInt(limit, 10);
+
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    throw new BadRequestError("page must be a positive integer");
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new BadRequestError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new BadRequestError(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw new BadRequestError("order must be 'asc' or 'desc'");
+  }
+
+  // Admins can list every link with all=true; everyone else sees their own
+  const filter = user.role === 'admin' && all ? {} : { user: user.id };
+  if (domain !== undefined) {
+    filter.domain = normalizeDomainParam(domain);
+  }
+  const direction = order === 'asc' ? 1 : -1;
+
+  const { links, total } = await listShortUrls(filter, {
+    // Tie-break on _id so pages stay stable when sort values repeat
+    sort: { [sort]: direction, _id: direction },
+    skip: (pageNumber - 1) * pageSize,
+    limit: pageSize
+  });
+
+  return {
+    links: links.map(toPublicLink),
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+export const getLink = async (user, shortId, { domain } = {}) => {
+  const link = await getOwnedLink(user, shortId, normalizeDomainParam(domain));
+  return toPublicLink(link);
+};
+
+export const updateLink = async (user, shortId, changes = {}, { domain } = {}) => {
+  const linkDomain = normalizeDomainParam(domain);
+  await getOwnedLink(user, shortId, linkDomain);
+
+  const updates = {};
+  if (changes.url !== undefined) {
+    const validation = validateUrl(changes.url);
+    if (!validation.valid) {
+      throw new BadRequestError(validation.error);
+    }
+    const destinationCheck = await checkDestination(validation.url);
+    if (!destinationCheck.allowed) {
+      throw new ForbiddenError(destinationCheck.reason);
+    }
+    updates.full_url = validation.url;
+  }
+
+  // expiresAt / maxClicks can be changed or cleared with null
+  const expiry = validateExpiryOptions({ expiresAt: changes.expiresAt, maxClicks: changes.maxClicks });
+  if (!expiry.valid) {
+    throw new BadRequestError(expiry.error);
+  }
+  Object.assign(updates, expiry.value);
+  // New limits mean the link can expire (and be reported) again
+  if (Object.keys(expiry.value).length > 0) {
+    updates.expiredNotifiedAt = null;
+  }
+
+  // Replaces the whole rule list; null (or []) removes targeting
+  if (changes.targets !== undefined) {
+    const targetValidation = validateTargets(changes.targets);
+    if (!targetValidation.valid) {
+      throw new BadRequestError(targetValidation.error);
+    }
+    for (const target of targetValidation.value) {
+      const destinationCheck = await checkDestination(target.url);
+      if (!destinationCheck.allowed) {
+        throw new ForbiddenError(`${target.url}: ${destinationCheck.reason}`);
+      }
+    }
+    updates.targets = targetValidation.value;
+  }
+
+  // Replaces the whole split; null removes it. Sticky visitors keep their variant while its name exists.
+  if (changes.variants !== undefined) {
+    const variantValidation = validateVariants(changes.variants);
+    if (!variantValidation.valid) {
+      throw new BadRequestError(variantValidation.error);
+    }
+    for (const variant of variantValidation.value) {
+      const destinationCheck = await checkDestination(variant.url);
+      if (!destinationCheck.allowed) {
+        throw new ForbiddenError(`${variant.url}: ${destinationCheck.reason}`);
+      }
+    }
+    updates.variants = variantValidation.value;
+  }
+
+  // redirectType / forwardQuery; null restores the default
+  const redirect = validateRedirectOptions({ redirectType: changes.redirectType, forwardQuery: changes.forwardQuery });
+  if (!redirect.valid) {
+    throw new BadRequestError(redirect.error);
+  }
+  Object.assign(updates, redirect.value);
+
+  if (changes.password !== undefined) {
+    Object.assign(updates, await buildPasswordFields(changes.password));
+  }
+
+  if (changes.forcePreview !== undefined) {
+    if (typeof changes.forcePreview !== 'boolean') {
+      throw new BadRequestError("forcePreview must be a boolean");
+    }
+    updates.forcePreview = changes.forcePreview;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new BadRequestError("No updatable fields provided");
+  }
+
+  const link = await updateShortUrl(shortId, updates, linkDomain);
+  if (!link) {
+    throw new NotFoundError("Short URL not found");
+  }
+
+  if (updates.expiredNotifiedAt === null) {
+    forgetExpiryNotification(shortId, linkDomain);
+  }
+
+  // Drop the cached mapping so redirects pick up the change right away
+  await urlCacheService.clearUrlCache(shortId, linkDomain);
+  return toPublicLink(link);
+};
+
+export const deleteLink = async (user, shortId, { domain } = {}) => {
+  const linkDomain = normalizeDomainParam(domain);
+  await getOwnedLink(user, shortId, linkDomain);
+
+  const link = await deleteShortUrl(shortId, linkDomain);
+  if (!link) {
+    throw new NotFoundError("Short URL not found");
+  }
+
+  await urlCacheService.clearUrlCache(shortId, linkDomain);
+  // Its analytics go with it (stats also ignore events older than a link, should any be left behind)
+  deleteClickEvents(shortId, linkDomain).catch(err => console.error('Click event cleanup failed:', err.message));
+  return toPublicLink(link);
+};
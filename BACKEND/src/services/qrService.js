@@ -0,0 +1,65 @@
+import QRCode from "qrcode";
+import { buildShortUrl } from "../utils/helper.js";
+import { BadRequestError } from "../utils/errorHandler.js";
+
+const FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const COLOR_PATTERN = /^#?([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const parseInteger = (value, name, { min, max, fallback }) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new BadRequestError(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const parseColor = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+    throw new BadRequestError(`${name} must be a hex color like 000000 or ffffff80`);
+  }
+  return `#${value.replace('#', '').toLowerCase()}`;
+};
+
+export const parseQrOptions = (query = {}) => {
+  const format = String(query.format || 'png').toLowerCase();
+  if (!FORMATS[format]) {
+    throw new BadRequestError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const ecl = String(query.ecl || 'M').toUpperCase();
+  if (!ERROR_CORRECTION_LEVELS.includes(ecl)) {
+    throw new BadRequestError(`ecl must be one of: ${ERROR_CORRECTION_LEVELS.join(', ')}`);
+  }
+
+  return {
+    format,
+    size: parseInteger(query.size, 'size', { min: 64, max: 2048, fallback: 512 }),
+    margin: parseInteger(query.margin, 'margin', { min: 0, max: 16, fallback: 4 }),
+    ecl,
+    fg: parseColor(query.fg, 'fg', '#000000'),
+    bg: parseColor(query.bg, 'bg', '#ffffff')
+  };
+};
+
+// Render the public short URL for `shortId` (on `domain`, null for APP_URL) as a QR code
+export const renderQrCode = async (shortId, { format, size, margin, ecl, fg, bg }, domain = null) => {
+  const renderOptions = {
+    width: size,
+    margin,
+    errorCorrectionLevel: ecl,
+    color: { dark: fg, light: bg }
+  };
+  const text = buildShortUrl(shortId, domain);
+
+  const body = format === 'svg'
+    ? await QRCode.toString(text, { ...renderOptions, type: 'svg' })
+    : await QRCode.toBuffer(text, { ...renderOptions, type: 'png' });
+
+  return { contentType: FORMATS[format], body };
+};
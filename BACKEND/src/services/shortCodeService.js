@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { customAlphabet } from 'nanoid';
+import { cacheService } from '../config/redis.config.js';
+import { generateNanoId } from '../utils/helper.js';
+import { isBlockedShortCode } from '../utils/shortCodeFilter.js';
+
+// How new random (non-custom) codes are made, picked with SHORT_CODE_STRATEGY:
+//   random   - 8-character nanoid (default)
+//   counter  - a shared Redis counter in base62; never collides with other counter codes.
+//              With SHORT_CODE_SECRET set, counter values are shuffled so codes aren't sequential.
+//   readable - 9 characters without look-alikes (no 0/o, 1/l/i), easy to read out or type
+const RANDOM_CODE_LENGTH = 8;
+const READABLE_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz';
+const READABLE_CODE_LENGTH = 9;
+const MAX_GENERATION_ATTEMPTS = 10; // Codes hitting the word filter are simply regenerated
+
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const COUNTER_OFFSET = 62 ** 3; // Plain counter codes start at 4 characters
+const OBFUSCATED_CODE_LENGTH = 7;
+const OBFUSCATED_DOMAIN = 62 ** OBFUSCATED_CODE_LENGTH; // ~3.5 trillion codes
+const FEISTEL_HALF_BITS = 21; // 2 x 21 bits just covers OBFUSCATED_DOMAIN
+const FEISTEL_HALF_SIZE = 2 ** FEISTEL_HALF_BITS;
+const FEISTEL_ROUNDS = 4;
+
+const CACHE_KEYS = {
+  COUNTER: 'codes:counter' // Never expires - resetting it makes counter codes collide with old ones
+};
+
+const stats = { generated: 0, filtered: 0, counterFallbacks: 0 };
+
+const toBase62 = (value, minLength = 1) => {
+  let code = '';
+  do {
+    code = BASE62_ALPHABET[value % 62] + code;
+    value = Math.floor(value / 62);
+  } while (value > 0);
+  return code.padStart(minLength, BASE62_ALPHABET[0]);
+};
+
+const feistelRound = (secret, round, half) =>
+  crypto.createHmac('sha256', secret).update(`${round}:${half}`).digest().readUInt32BE(0) % FEISTEL_HALF_SIZE;
+
+// Keyed permutation of [0, OBFUSCATED_DOMAIN): a small Feistel network over 42 bits, re-applied
+// ("cycle walking") until the result falls back inside the domain. Distinct inputs stay distinct.
+const obfuscate = (value, secret) => {
+  let result = value;
+  do {
+    let left = Math.floor(result / FEISTEL_HALF_SIZE);
+    let right = result % FEISTEL_HALF_SIZE;
+    for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+      [left, right] = [right, left ^ feistelRound(secret, round, right)];
+    }
+    result = left * FEISTEL_HALF_SIZE + right;
+  } while (result >= OBFUSCATED_DOMAIN);
+  return result;
+};
+
+const generateReadableId = customAlphabet(READABLE_ALPHABET, READABLE_CODE_LENGTH);
+
+const nextCounterCode = async () => {
+  const value = await cacheService.incr(CACHE_KEYS.COUNTER, null);
+  if (!value) {
+    // Redis unavailable - a random code is better than no link
+    stats.counterFallbacks++;
+    return generateNanoId(RANDOM_CODE_LENGTH);
+  }
+
+  const secret = process.env.SHORT_CODE_SECRET;
+  if (!secret) return toBase62(COUNTER_OFFSET + value);
+
+  if (value >= OBFUSCATED_DOMAIN) {
+    throw new Error('Short code counter is exhausted');
+  }
+  return toBase62(obfuscate(value, secret), OBFUSCATED_CODE_LENGTH);
+};
+
+const STRATEGIES = {
+  random: async () => generateNanoId(RANDOM_CODE_LENGTH),
+  counter: nextCounterCode,
+  readable: async () => generateReadableId()
+};
+
+const resolveStrategyName = () => {
+  const name = process.env.SHORT_CODE_STRATEGY || 'random';
+  if (STRATEGIES[name]) return name;
+  console.error(`Unknown SHORT_CODE_STRATEGY '${name}', using random`);
+  return 'random';
+};
+
+const STRATEGY_NAME = resolveStrategyName();
+
+// A fresh code from the configured strategy that isn't reserved and doesn't spell anything rude.
+// Callers still handle duplicate-key errors: other strategies and custom aliases share the namespace.
+export const generateShortCode = async () => {
+  const generate = STRATEGIES[STRATEGY_NAME];
+  for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+    const code = await generate();
+    if (!isBlockedShortCode(code)) {
+      stats.generated++;
+      return code;
+    }
+    stats.filtered++;
+  }
+  throw new Error('Short URL not generated');
+};
+
+export const getShortCodeStats = () => ({
+  strategy: STRATEGY_NAME,
+  ...stats
+});
@@ -1,13 +1,16 @@
-import { generateNanoId } from "../utils/helper.js";
-import { saveShortUrl } from "../dao/shortUrl.js";
+import { capTtlToExpiry, linkKey } from "../utils/helper.js";
+import { saveShortUrl, findReusableShortUrl } from "../dao/shortUrl.js";
 import { cacheService } from "../config/redis.config.js";
+import { enqueuePendingShortUrl } from "./linkOutboxService.js";
+import { generateShortCode } from "./shortCodeService.js";
 
-// Persist mapping if possible; if DB/Redis slow, still return short code and attempt background persistence
-export const createShortUrlWithoutUser = async (url, customShortId) => {
+// Persist mapping if possible; if DB/Redis slow, still return short code and persist it through the link outbox.
+// options.domain scopes the code to a branded domain (null/undefined for APP_URL)
+const createShortUrlForOwner = async (url, customShortId, userId, options = {}) => {
   // If custom short ID provided, use it directly
   if (customShortId) {
     try {
-      const savePromise = saveShortUrl(customShortId, url);
+      const savePromise = saveShortUrl(customShortId, url, userId, { ...options, custom: true });
       await Promise.race([
         savePromise,
         new Promise((_, reject) => setTimeout(() => reject(new Error("Save quick-timeout")), 2500))
@@ -24,11 +27,10 @@ export const createShortUrlWithoutUser = async (url, customShortId) => {
   // Fast path: attempt a quick DB save; if slow, degrade immediately and persist in background
   const maxCollisions = 5; // Increased from 2 to handle higher load
   for (let attempt = 0; attempt <= maxCollisions; attempt++) {
-    const shortUrl = generateNanoId(8); // Increased from 7 to 8 characters (64x less collisions)
-    if (!shortUrl) throw new Error("Short URL not generated");
+    const shortUrl = await generateShortCode(); // Strategy picked with SHORT_CODE_STRATEGY
 
     try {
-      const savePromise = saveShortUrl(shortUrl, url);
+      const savePromise = saveShortUrl(shortUrl, url, userId, options);
       await Promise.race([
         savePromise,
         // Timeout tuned for 150 req/sec stability
@@ -47,40 +49,24 @@ export const createShortUrlWithoutUser = async (url, customShortId) => {
         continue;
       }
 
-      // Graceful degrade: cache mapping and schedule background persistence; return immediately
+      // Graceful degrade: queue the save durably and serve the code from the cache until it lands
       try {
-        const cacheKey = `url:${shortUrl}`;
-        const urlData = { full_url: url, short_url: shortUrl, clicks: 0 };
-        await cacheService.set(cacheKey, urlData, 600); // 10 minutes
-        console.log(`⚠️ Database timeout - cached URL ${shortUrl} for background persistence`);
+        await enqueuePendingShortUrl({ shortUrl, url, userId, options });
+      } catch (queueError) {
+        console.error('Could not queue link for background persistence:', queueError.message);
+      }
+
+      try {
+        const cacheKey = `url:${linkKey(shortUrl, options.domain)}`;
+        const { password: _passwordHash, ...cacheableOptions } = options; // never cache the hash
+        const urlData = { ...cacheableOptions, full_url: url, short_url: shortUrl, clicks: 0, user: userId };
+        const ttl = capTtlToExpiry(600, options.expiresAt); // 10 minutes, or less if the link expires sooner
+        if (ttl > 0) await cacheService.set(cacheKey, urlData, ttl);
+        console.log(`⚠️ Database timeout - queued URL ${shortUrl} for background persistence`);
       } catch (cacheError) {
         console.error('Cache error during graceful degradation:', cacheError.message);
       }
 
-      // Schedule background persistence with exponential backoff
-      setTimeout(async () => {
-        let retryCount = 0;
-        const maxRetries = 3;
-
-        const retrySave = async () => {
-          try {
-            await saveShortUrl(shortUrl, url);
-            console.log(`✅ Background persistence successful for ${shortUrl}`);
-          } catch (saveError) {
-            retryCount++;
-            if (retryCount < maxRetries && !saveError.message.includes('already exists')) {
-              const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
-              console.log(`⏳ Background persistence retry ${retryCount}/${maxRetries} for ${shortUrl} in ${delay}ms`);
-              setTimeout(retrySave, delay);
-            } else {
-              console.error(`❌ Background persistence failed for ${shortUrl} after ${maxRetries} retries:`, saveError.message);
-            }
-          }
-        };
-
-        retrySave();
-      }, 100); // Small delay to return response immediately
-
       return shortUrl;
     }
   }
@@ -88,35 +74,21 @@ export const createShortUrlWithoutUser = async (url, customShortId) => {
   throw new Error("Failed to generate unique short URL after maximum attempts");
 };
 
-export const createShortUrlWithUser = async (url, userId) => {
-  const shortUrl = generateNanoId(8); // Updated to match the length increase
-  if (!shortUrl) throw new Error("Short URL not generated");
+export const createShortUrlWithoutUser = async (url, customShortId, options) => {
+  return createShortUrlForOwner(url, customShortId, undefined, options);
+};
 
+export const createShortUrlWithUser = async (url, userId, customShortId, options) => {
+  return createShortUrlForOwner(url, customShortId, userId, options);
+};
+
+// Existing short code (on the same domain) to hand back in dedupe mode; null when there is none or the DB is unavailable
+export const findExistingShortUrl = async (url, userId, domain = null) => {
   try {
-    const savePromise = saveShortUrl(shortUrl, url, userId);
-    await Promise.race([
-      savePromise,
-      new Promise((_, reject) => setTimeout(() => reject(new Error("Save timeout")), 3000))
-    ]);
-    return shortUrl;
+    const existing = await findReusableShortUrl(url, userId, domain);
+    return existing?.short_url ?? null;
   } catch (error) {
-    if (error.message === "Short URL already exists") {
-      throw new Error("Short URL already exists - please try again");
-    }
-
-    // Same graceful degradation for user-bound creation
-    try {
-      const cacheKey = `url:${shortUrl}`;
-      const urlData = { full_url: url, short_url: shortUrl, clicks: 0, user: userId };
-      await cacheService.set(cacheKey, urlData, 1800);
-    } catch (_) {}
-
-    setTimeout(async () => {
-      try {
-        await saveShortUrl(shortUrl, url, userId);
-      } catch (_) {}
-    }, 0);
-
-    return shortUrl;
+    console.error('Dedupe lookup failed, creating a new link:', error.message);
+    return null;
   }
 };
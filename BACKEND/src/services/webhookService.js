@@ -0,0 +1,467 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import { isIP } from "net";
+import mongoose from "mongoose";
+import {
+  createWebhook,
+  listWebhooks,
+  findWebhook,
+  deleteWebhook,
+  insertWebhookDeliveries,
+  findWebhookDelivery,
+  updateWebhookDelivery,
+  claimDueWebhookDelivery,
+  renewWebhookDeliveryClaim,
+  listWebhookDeliveries,
+  deleteWebhookDeliveries
+} from "../dao/webhook.js";
+import { markExpiryNotified } from "../dao/shortUrl.js";
+import { WEBHOOK_EVENTS } from "../models/webhookSchema.js";
+import { DELIVERY_STATUSES } from "../models/webhookDeliverySchema.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errorHandler.js";
+import { validateUrl, isPublicAddress, lookupPublicAddress, hasPublicHost } from "../utils/url.js";
+import { linkKey } from "../utils/helper.js";
+
+export { WEBHOOK_EVENTS };
+
+const SECRET_PREFIX = 'whsec_';
+const MAX_WEBHOOKS_PER_USER = 10;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DEFAULT_DELIVERY_PAGE_SIZE = 20;
+const MAX_DELIVERY_PAGE_SIZE = 100;
+
+// Deliveries run in the background: a few at a time, retried with exponential backoff. Retry state
+// lives on the delivery document: an instance claims a pending delivery by leasing it (nextAttemptAt
+// moves to the end of the lease), and a poller picks up retries that are due and leases that ran out,
+// so deliveries survive restarts and crashed instances.
+const DELIVERY_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS = 6; // 1 try + 5 retries, the last one ~5 minutes after the event
+const RETRY_BASE_DELAY_MS = 10000; // 10s, 20s, 40s, 80s, 160s
+const MAX_CONCURRENT_DELIVERIES = 10;
+const MAX_QUEUED_DELIVERIES = 5000; // Beyond this deliveries wait in MongoDB for the poller
+const CLAIM_LEASE_MS = 60000; // Renewed right before each attempt
+const POLL_INTERVAL_MS = 5000;
+const MAX_CLAIMED_PER_POLL = 100;
+
+// Receivers on loopback or private networks (local development, an in-cluster consumer) must be
+// allowed explicitly; otherwise webhooks could probe the internal network
+const ALLOW_PRIVATE_RECEIVERS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Every click looks up the subscribers, so active webhooks are kept in memory
+const LOCAL_WEBHOOKS_TTL_MS = 30000;
+
+// Links already reported as expired, so repeat visits skip the database. Entries age out because
+// another instance may re-arm a link by changing its limits.
+const MAX_REMEMBERED_EXPIRIES = 10000;
+const REMEMBERED_EXPIRY_TTL_MS = 10 * 60 * 1000;
+
+let localWebhooks = null; // { loadedAt, webhooks: [{ id, user, events }] }
+const queue = [];
+let inFlight = 0;
+let polling = null;
+const notifiedExpiries = new Map(); // linkKey -> rememberedAt
+const stats = { emitted: 0, delivered: 0, failedAttempts: 0, dead: 0, deferred: 0, resumed: 0, lostClaims: 0 };
+
+const hashSignature = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const toPublicWebhook = (webhook) => ({
+  id: webhook._id.toString(),
+  url: webhook.url,
+  events: webhook.events,
+  global: !webhook.user,
+  description: webhook.description ?? null,
+  active: webhook.active,
+  createdAt: webhook.createdAt
+});
+
+const toPublicDelivery = (delivery) => ({
+  id: delivery._id.toString(),
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  lastStatusCode: delivery.lastStatusCode,
+  lastError: delivery.lastError,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt,
+  payload: JSON.parse(delivery.payload)
+});
+
+const loadWebhooks = async () => {
+  if (localWebhooks && Date.now() - localWebhooks.loadedAt < LOCAL_WEBHOOKS_TTL_MS) {
+    return localWebhooks.webhooks;
+  }
+
+  try {
+    const webhooks = await listWebhooks({ active: true });
+    localWebhooks = {
+      loadedAt: Date.now(),
+      webhooks: webhooks.map(webhook => ({
+        id: webhook._id.toString(),
+        user: webhook.user ? webhook.user.toString() : null,
+        events: webhook.events
+      }))
+    };
+  } catch (error) {
+    // Keep using the last known subscribers rather than dropping events
+    console.error('Error loading webhooks:', error.message);
+    if (!localWebhooks) return [];
+  }
+
+  return localWebhooks.webhooks;
+};
+
+// Other instances pick up changes within LOCAL_WEBHOOKS_TTL_MS
+const invalidateWebhooks = () => {
+  localWebhooks = null;
+};
+
+// Webhooks owned by the link's owner, plus global ones
+const findSubscribers = async (event, ownerId) => {
+  const webhooks = await loadWebhooks();
+  return webhooks.filter(webhook =>
+    webhook.events.includes(event) && (!webhook.user || webhook.user === ownerId)
+  );
+};
+
+// Only the first instance to see a link expire reports it
+const claimExpiry = async ({ shortId, domain }) => {
+  const key = linkKey(shortId, domain);
+  const rememberedAt = notifiedExpiries.get(key);
+  if (rememberedAt && Date.now() - rememberedAt < REMEMBERED_EXPIRY_TTL_MS) return false;
+
+  // Remembered only once the database has answered; a failed write leaves the next visit to try again
+  const claimed = await markExpiryNotified(shortId, domain);
+  if (notifiedExpiries.size >= MAX_REMEMBERED_EXPIRIES) notifiedExpiries.clear();
+  notifiedExpiries.set(key, Date.now());
+  return !!claimed;
+};
+
+const leaseUntil = () => new Date(Date.now() + CLAIM_LEASE_MS);
+
+// POST the payload and resolve with the response status. Redirects are not followed: a redirect is a
+// failed delivery, not a new destination.
+const postToReceiver = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  // IP literals never go through `lookup`
+  if (!ALLOW_PRIVATE_RECEIVERS && isIP(hostname) && !isPublicAddress(hostname)) {
+    reject(new Error('Receiver is a private or local address'));
+    return;
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    timeout: DELIVERY_TIMEOUT_MS,
+    ...(ALLOW_PRIVATE_RECEIVERS ? {} : { lookup: lookupPublicAddress })
+  }, (response) => {
+    response.resume(); // Only the status matters
+    resolve(response.statusCode);
+  });
+  request.on('timeout', () => request.destroy(new Error(`No response within ${DELIVERY_TIMEOUT_MS}ms`)));
+  request.on('error', error => reject(
+    error.code === 'ENONPUBLIC' ? new Error('Receiver resolves to a private or local address') : error
+  ));
+  request.end(body);
+});
+
+const attemptDelivery = async (job) => {
+  // The job may have waited in the queue past its lease and been claimed elsewhere
+  if (!(await renewWebhookDeliveryClaim(job.deliveryId, job.claimToken, leaseUntil()))) {
+    stats.lostClaims++;
+    return;
+  }
+  const attempts = job.attempts + 1;
+
+  const webhook = await findWebhook(job.webhookId, { withSecret: true });
+  if (!webhook || !webhook.active) {
+    stats.dead++;
+    await updateWebhookDelivery(job.deliveryId, {
+      status: 'dead', nextAttemptAt: null, claimToken: null, lastError: 'Webhook was deleted or disabled'
+    });
+    return;
+  }
+
+  // Receivers verify: HMAC-SHA256(secret, `${timestamp}.${body}`), and reject stale timestamps
+  const timestamp = Math.floor(Date.now() / 1000);
+  let statusCode = null;
+  let error = null;
+  try {
+    statusCode = await postToReceiver(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MakeUrlShort-Webhooks/1.0',
+      'X-Webhook-Id': job.deliveryId,
+      'X-Webhook-Event': job.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${hashSignature(webhook.secret, timestamp, job.payload)}`
+    }, job.payload);
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Endpoint responded with ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  if (!error) {
+    stats.delivered++;
+    await updateWebhookDelivery(job.deliveryId, {
+      status: 'succeeded', attempts, lastStatusCode: statusCode, lastError: null,
+      nextAttemptAt: null, claimToken: null, deliveredAt: new Date()
+    });
+    return;
+  }
+
+  stats.failedAttempts++;
+  if (attempts >= MAX_ATTEMPTS) {
+    stats.dead++;
+    await updateWebhookDelivery(job.deliveryId, {
+      status: 'dead', attempts, lastStatusCode: statusCode, lastError: error, nextAttemptAt: null, claimToken: null
+    });
+    return;
+  }
+
+  // Released; the poller (on whichever instance gets there first) sends it again once it is due
+  const delayMs = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+  await updateWebhookDelivery(job.deliveryId, {
+    attempts, lastStatusCode: statusCode, lastError: error, nextAttemptAt: new Date(Date.now() + delayMs), claimToken: null
+  });
+};
+
+const pump = () => {
+  while (inFlight < MAX_CONCURRENT_DELIVERIES && queue.length > 0) {
+    const job = queue.shift();
+    inFlight++;
+    attemptDelivery(job)
+      .catch(error => console.error('Webhook delivery failed:', error.message))
+      .finally(() => {
+        inFlight--;
+        pump();
+      });
+  }
+};
+
+// `job` must hold a claim on its delivery
+const enqueue = (job) => {
+  queue.push(job);
+  pump();
+};
+
+const toJob = (delivery, claimToken) => ({
+  deliveryId: delivery._id.toString(),
+  webhookId: delivery.webhook.toString(),
+  event: delivery.event,
+  payload: delivery.payload,
+  attempts: delivery.attempts,
+  claimToken
+});
+
+// Claim retries that are due, and deliveries whose lease ran out, while the queue has room
+const poll = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const claimToken = crypto.randomUUID();
+  for (let claimed = 0; claimed < MAX_CLAIMED_PER_POLL && queue.length < MAX_QUEUED_DELIVERIES; claimed++) {
+    const delivery = await claimDueWebhookDelivery(claimToken, leaseUntil());
+    if (!delivery) break;
+    stats.resumed++;
+    enqueue(toJob(delivery, claimToken));
+  }
+};
+
+const pollDueDeliveries = () => {
+  // Only one poll at a time
+  if (!polling) {
+    polling = poll()
+      .catch(error => console.error('Webhook delivery poll failed:', error.message))
+      .finally(() => { polling = null; });
+  }
+  return polling;
+};
+
+const pollTimer = setInterval(pollDueDeliveries, POLL_INTERVAL_MS);
+pollTimer.unref(); // Don't keep the process alive just for this
+
+const dispatch = async (event, ownerId, data) => {
+  const subscribers = await findSubscribers(event, ownerId);
+  if (subscribers.length === 0) return;
+  if (event === 'link.expired' && !(await claimExpiry(data.link))) return;
+
+  // Deliveries that fit in the queue are claimed by this instance straight away; the rest are due
+  // now and wait for a poller
+  const createdAt = new Date();
+  const claimToken = crypto.randomUUID();
+  const room = MAX_QUEUED_DELIVERIES - queue.length;
+  const deliveries = subscribers.map((webhook, index) => {
+    const _id = new mongoose.Types.ObjectId();
+    // The payload id is the delivery id, so receivers can drop retried duplicates
+    const payload = JSON.stringify({ id: _id.toString(), event, createdAt, data });
+    const claimed = index < room;
+    return {
+      _id, webhook: webhook.id, event, payload, createdAt,
+      nextAttemptAt: claimed ? leaseUntil() : createdAt,
+      claimToken: claimed ? claimToken : null
+    };
+  });
+
+  await insertWebhookDeliveries(deliveries);
+  stats.emitted += deliveries.length;
+  for (const delivery of deliveries) {
+    if (delivery.claimToken) {
+      enqueue(toJob({ ...delivery, attempts: 0 }, claimToken));
+    } else {
+      stats.deferred++;
+    }
+  }
+};
+
+// New limits re-arm link.expired, so stop skipping the link here
+export const forgetExpiryNotification = (shortId, domain = null) => {
+  notifiedExpiries.delete(linkKey(shortId, domain));
+};
+
+// Fire an event for a link owned by `ownerId` (null for anonymous links - global webhooks only).
+// Returns straight away; matching, logging and delivery all happen after the response.
+export const emitWebhookEvent = (event, ownerId, data) => {
+  setImmediate(() => {
+    dispatch(event, ownerId ? ownerId.toString() : null, data).catch(error =>
+      console.error(`Error dispatching ${event} webhook:`, error.message)
+    );
+  });
+};
+
+export const createUserWebhook = async (user, { url, events, global, description } = {}) => {
+  const urlValidation = validateUrl(url);
+  if (!urlValidation.valid) {
+    throw new BadRequestError(`url: ${urlValidation.error}`);
+  }
+  if (!ALLOW_PRIVATE_RECEIVERS) {
+    const isPublic = await hasPublicHost(urlValidation.url).catch(() => null);
+    if (isPublic === null) {
+      throw new BadRequestError('url: host could not be resolved');
+    }
+    if (!isPublic) {
+      throw new BadRequestError('url: private and local addresses are not allowed');
+    }
+  }
+
+  const requestedEvents = events ?? WEBHOOK_EVENTS;
+  if (!Array.isArray(requestedEvents) || requestedEvents.length === 0) {
+    throw new BadRequestError('events must be a non-empty array');
+  }
+  const unknownEvents = requestedEvents.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknownEvents.length > 0) {
+    throw new BadRequestError(`Unknown events: ${unknownEvents.join(', ')}. Allowed: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH)) {
+    throw new BadRequestError(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  // Global webhooks see every link's events, so only admins can add them
+  if (global !== undefined && typeof global !== 'boolean') {
+    throw new BadRequestError('global must be a boolean');
+  }
+  if (global && user.role !== 'admin') {
+    throw new ForbiddenError('Only admins can create global webhooks');
+  }
+
+  const owner = global ? null : user.id;
+  const existing = await listWebhooks({ user: owner });
+  if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+    throw new BadRequestError(`You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`);
+  }
+
+  const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const webhook = await createWebhook({
+    user: owner,
+    url: urlValidation.url,
+    events: [...new Set(requestedEvents)],
+    secret,
+    description: description?.trim() || undefined
+  });
+
+  invalidateWebhooks();
+  // The signing secret is returned exactly once
+  return { ...toPublicWebhook(webhook), secret };
+};
+
+// A user's own webhooks; admins also see the global ones
+export const listUserWebhooks = async (user) => {
+  const filter = user.role === 'admin' ? { user: { $in: [user.id, null] } } : { user: user.id };
+  const webhooks = await listWebhooks(filter);
+  return webhooks.map(toPublicWebhook);
+};
+
+const findManageableWebhook = async (user, webhookId) => {
+  if (!mongoose.isValidObjectId(webhookId)) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  const webhook = await findWebhook(webhookId);
+  const owned = webhook && (webhook.user ? webhook.user.toString() === user.id : user.role === 'admin');
+  if (!owned) {
+    throw new NotFoundError('Webhook not found');
+  }
+  return webhook;
+};
+
+export const deleteUserWebhook = async (user, webhookId) => {
+  const webhook = await findManageableWebhook(user, webhookId);
+
+  await deleteWebhook(webhook._id);
+  await deleteWebhookDeliveries(webhook._id);
+  invalidateWebhooks();
+  return toPublicWebhook(webhook);
+};
+
+// Delivery log, newest first; ?status=dead is the dead-letter list
+export const listDeliveries = async (user, webhookId, { status, limit } = {}) => {
+  const webhook = await findManageableWebhook(user, webhookId);
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    throw new BadRequestError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_DELIVERY_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_DELIVERY_PAGE_SIZE) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_DELIVERY_PAGE_SIZE}`);
+  }
+
+  const deliveries = await listWebhookDeliveries(webhook._id, { status, limit: pageSize });
+  return deliveries.map(toPublicDelivery);
+};
+
+// Send a delivery again (typically from the dead-letter list) with the same payload and id
+export const redeliver = async (user, webhookId, deliveryId) => {
+  const webhook = await findManageableWebhook(user, webhookId);
+  if (!mongoose.isValidObjectId(deliveryId)) {
+    throw new NotFoundError('Delivery not found');
+  }
+
+  const delivery = await findWebhookDelivery(webhook._id, deliveryId);
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found');
+  }
+  // Pending deliveries are already being sent or retried
+  if (delivery.status === 'pending') {
+    throw new BadRequestError('Delivery is still being retried');
+  }
+
+  const claimToken = crypto.randomUUID();
+  const updated = await updateWebhookDelivery(delivery._id, {
+    status: 'pending', attempts: 0, nextAttemptAt: leaseUntil(), claimToken, lastError: null
+  });
+  enqueue(toJob(updated, claimToken));
+  return toPublicDelivery(updated);
+};
+
+export const getWebhookStats = () => ({
+  ...stats,
+  queued: queue.length,
+  inFlight
+});
@@ -47,4 +47,9 @@ export class AppError extends Error {
     constructor(message = "Unauthorized") {
       super(message, 401);
     }
-  }
\ No newline at end of file
+  }
+  export class ForbiddenError extends AppError {
+    constructor(message = "Forbidden") {
+      super(message, 403);
+    }
+  }
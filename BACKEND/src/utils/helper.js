@@ -1,4 +1,5 @@
 import { nanoid } from "nanoid";
+import { isReservedShortId } from "./shortCodeFilter.js";
 
 export const generateNanoId=(length)=>{
     return nanoid(length);
@@ -23,8 +24,7 @@ export const validateCustomShortId = (shortId) => {
     }
 
     // Check for reserved words
-    const reservedWords = ['api', 'health', 'metrics', 'admin', 'create', 'shorten'];
-    if (reservedWords.includes(shortId.toLowerCase())) {
+    if (isReservedShortId(shortId)) {
         return {
             valid: false,
             error: 'This custom short ID is reserved and cannot be used'
@@ -33,3 +33,107 @@ export const validateCustomShortId = (shortId) => {
 
     return { valid: true };
 };
+
+// Public short URL for a code - on its branded domain, or based on APP_URL for the default domain
+export const buildShortUrl = (shortId, domain = null) => {
+    if (domain) {
+        return `https://${domain}/${shortId}`;
+    }
+    const BASE_URL = process.env.APP_URL?.endsWith('/')
+                 ? process.env.APP_URL
+                 : process.env.APP_URL + '/';
+    return `${BASE_URL}${shortId}`;
+};
+
+// Identifies a link across domains in Redis keys and leaderboards ("code" or "domain/code")
+export const linkKey = (shortId, domain = null) => (domain ? `${domain}/${shortId}` : shortId);
+
+export const parseLinkKey = (key) => {
+    const separator = key.lastIndexOf('/');
+    return separator === -1
+        ? { shortId: key, domain: null }
+        : { shortId: key.slice(separator + 1), domain: key.slice(0, separator) };
+};
+
+// Validate optional expiry limits; returns normalized values ({ expiresAt: Date|null, maxClicks: number|null })
+export const validateExpiryOptions = ({ expiresAt, maxClicks } = {}) => {
+    const value = {};
+
+    if (expiresAt !== undefined) {
+        if (expiresAt === null) {
+            value.expiresAt = null;
+        } else {
+            const date = new Date(expiresAt);
+            if (Number.isNaN(date.getTime())) {
+                return { valid: false, error: 'expiresAt must be a valid ISO 8601 date' };
+            }
+            if (date.getTime() <= Date.now()) {
+                return { valid: false, error: 'expiresAt must be in the future' };
+            }
+            value.expiresAt = date;
+        }
+    }
+
+    if (maxClicks !== undefined) {
+        if (maxClicks === null) {
+            value.maxClicks = null;
+        } else if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+            return { valid: false, error: 'maxClicks must be a positive integer' };
+        } else {
+            value.maxClicks = maxClicks;
+        }
+    }
+
+    return { valid: true, value };
+};
+
+export const REDIRECT_TYPES = [301, 302, 307, 308];
+
+// Validate optional redirect settings; null resets a setting to its default (302, no query forwarding)
+export const validateRedirectOptions = ({ redirectType, forwardQuery } = {}) => {
+    const value = {};
+
+    if (redirectType !== undefined) {
+        if (redirectType === null) {
+            value.redirectType = 302;
+        } else if (!REDIRECT_TYPES.includes(redirectType)) {
+            return { valid: false, error: `redirectType must be one of: ${REDIRECT_TYPES.join(', ')}` };
+        } else {
+            value.redirectType = redirectType;
+        }
+    }
+
+    if (forwardQuery !== undefined) {
+        if (forwardQuery === null) {
+            value.forwardQuery = false;
+        } else if (typeof forwardQuery !== 'boolean') {
+            return { valid: false, error: 'forwardQuery must be a boolean' };
+        } else {
+            value.forwardQuery = forwardQuery;
+        }
+    }
+
+    return { valid: true, value };
+};
+
+// Past its expiry date or out of clicks
+export const isLinkExpired = (link) =>
+    (!!link.expiresAt && new Date(link.expiresAt).getTime() <= Date.now()) ||
+    (!!link.maxClicks && link.clicks >= link.maxClicks);
+
+// Cap a cache TTL so a cached link never outlives its expiry date
+export const capTtlToExpiry = (ttlSeconds, expiresAt) => {
+    if (!expiresAt) return ttlSeconds;
+    const secondsLeft = Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000);
+    return Math.max(0, Math.min(ttlSeconds, secondsLeft));
+};
+
+export const validateLinkPassword = (password) => {
+    if (typeof password !== 'string' || password.length < 4 || password.length > 128) {
+        return {
+            valid: false,
+            error: 'Link password must be a string between 4 and 128 characters long'
+        };
+    }
+    return { valid: true };
+};
@@ -0,0 +1,42 @@
+// Bounded in-memory cache: least recently used entries are evicted first, and every entry expires
+// after its TTL. A Map keeps insertion order, so re-inserting on read moves an entry to the back.
+export class LruCache {
+    constructor({ maxEntries, ttlMs }) {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) return undefined;
+
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    // `ttlMs` can only shorten the default lifetime
+    set(key, value, ttlMs = this.ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + Math.min(ttlMs, this.ttlMs) });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
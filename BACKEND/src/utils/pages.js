@@ -0,0 +1,67 @@
+// Minimal server-rendered HTML pages (no template engine; inline styles are allowed by our CSP)
+
+export const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Sent instead of the app-wide helmet policy: these forms are answered with a 303 to the link's
+// destination, and browsers apply `form-action` to that redirect, so it is left out on purpose
+export const PAGE_CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; frame-ancestors 'none'";
+
+// Forms and links back to the short link, keeping the visitor's query string for links that forward it
+const linkPath = (shortId, search = '') => `/${encodeURIComponent(shortId)}${escapeHtml(search)}`;
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f5f5f7; margin: 0; display: flex; min-height: 100vh; align-items: center; justify-content: center; }
+  main { background: #fff; padding: 2rem; border-radius: 12px; box-shadow: 0 2px 12px rgba(0,0,0,.08); width: 100%; max-width: 420px; }
+  h1 { font-size: 1.25rem; margin-top: 0; }
+  input, button { font: inherit; width: 100%; box-sizing: border-box; padding: .6rem; border-radius: 8px; }
+  input { border: 1px solid #ccc; margin-bottom: .75rem; }
+  button, .button { border: 0; background: #2563eb; color: #fff; cursor: pointer; }
+  .button { display: block; text-align: center; text-decoration: none; padding: .6rem; border-radius: 8px; }
+  .error { color: #b91c1c; }
+  .destination { word-break: break-all; background: #f5f5f7; padding: .6rem; border-radius: 8px; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: .25rem 1rem; color: #555; }
+  dd { margin: 0; }
+</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+
+export const renderUnlockPage = ({ shortId, error, search }) => layout('Protected link', `<h1>This link is password protected</h1>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="${linkPath(shortId, search)}">
+  <input type="password" name="password" placeholder="Password" autocomplete="current-password" required autofocus>
+  <button type="submit">Unlock</button>
+</form>`);
+
+// Shows where a link goes before following it. Continuing POSTs back to the link so the click is
+// counted then (link scanners only GET); protected links link to their unlock form instead (a GET form
+// would drop the query string from its action).
+export const renderPreviewPage = ({ shortId, destination, createdAt, clicks, isProtected, search }) => layout('Link preview', `<h1>This link leads to</h1>
+${isProtected
+    ? '<p>A password-protected page. You will be asked for the password next.</p>'
+    : `<p class="destination">${escapeHtml(destination)}</p>`}
+<dl>
+  <dt>Created</dt><dd>${createdAt ? escapeHtml(new Date(createdAt).toUTCString()) : 'Unknown'}</dd>
+  <dt>Clicks</dt><dd>${escapeHtml(clicks ?? 0)}</dd>
+</dl>
+${isProtected
+    ? `<a class="button" href="${linkPath(shortId, search)}">Continue</a>`
+    : `<form method="post" action="${linkPath(shortId, search)}">
+  <button type="submit">Continue</button>
+</form>`}`);
@@ -0,0 +1,99 @@
+// Static checks for admin-supplied regular expressions, which run on the redirect path.
+// V8 backtracks, so a pattern like (a+)+$ or a*a*a*! can take seconds on a 253-character hostname.
+
+// Each repeating quantifier multiplies the ways a failing match can be retried; two stay in the milliseconds
+const MAX_REPEATING_QUANTIFIERS = 2;
+
+// { repeating, length } for a quantifier starting at `index`, or null
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+    if (char === '*' || char === '+') return { repeating: true, length: 1 };
+    if (char === '?') return { repeating: false, length: 1 };
+    if (char !== '{') return null;
+
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!braces) return null; // a literal brace
+    const [text, min, comma, max] = braces;
+    const repeating = comma ? (max === '' || Number(max) > 1) : Number(min) > 1;
+    return { repeating, length: text.length };
+};
+
+// Length of a group's opening: (, (?:, (?=, (?!, (?<=, (?<! or (?<name>
+const groupPrefixLength = (pattern, index) => {
+    if (pattern[index + 1] !== '?') return 1;
+    if (pattern[index + 2] === '<' && pattern[index + 3] !== '=' && pattern[index + 3] !== '!') {
+        return pattern.indexOf('>', index) - index + 1;
+    }
+    return pattern[index + 2] === '<' ? 4 : 3;
+};
+
+// Why `pattern` could backtrack catastrophically, or null. Errs on the side of rejecting;
+// the pattern must already compile.
+export const findUnsafeRegexConstruct = (pattern) => {
+    const groups = [{ hasQuantifier: false, hasAlternation: false }];
+    let closedGroup = null; // the group a following quantifier would apply to
+    let repeatingQuantifiers = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const current = groups[groups.length - 1];
+
+        if (char === '\\') {
+            const escaped = pattern[i + 1];
+            if (/[1-9]/.test(escaped) || escaped === 'k') return 'backreferences are not allowed';
+            i++;
+            closedGroup = null;
+            continue;
+        }
+
+        if (char === '[') {
+            i++;
+            if (pattern[i] === '^') i++;
+            if (pattern[i] === ']') i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                if (pattern[i] === '\\') i++;
+                i++;
+            }
+            closedGroup = null;
+            continue;
+        }
+
+        if (char === '(') {
+            groups.push({ hasQuantifier: false, hasAlternation: false });
+            i += groupPrefixLength(pattern, i) - 1;
+            closedGroup = null;
+            continue;
+        }
+
+        if (char === ')') {
+            closedGroup = groups.pop();
+            if (closedGroup.hasQuantifier) groups[groups.length - 1].hasQuantifier = true;
+            continue;
+        }
+
+        if (char === '|') {
+            current.hasAlternation = true;
+            closedGroup = null;
+            continue;
+        }
+
+        const quantifier = readQuantifier(pattern, i);
+        if (quantifier) {
+            if (quantifier.repeating) {
+                if (closedGroup && (closedGroup.hasQuantifier || closedGroup.hasAlternation)) {
+                    return 'a repeated group must not contain quantifiers or alternatives, as in (a+)+ or (a|ab)*';
+                }
+                repeatingQuantifiers++;
+            }
+            current.hasQuantifier = true;
+            i += quantifier.length - 1;
+            if (pattern[i + 1] === '?') i++; // lazy
+        }
+        closedGroup = null;
+    }
+
+    if (repeatingQuantifiers > MAX_REPEATING_QUANTIFIERS) {
+        return `at most ${MAX_REPEATING_QUANTIFIERS} repeating quantifiers (*, + or {n,m}) are allowed`;
+    }
+    return null;
+};
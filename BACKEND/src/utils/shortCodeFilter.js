@@ -0,0 +1,29 @@
+// Words a short code must not be: paths the app itself serves, and words nobody wants in a link
+
+// Compared case-insensitively against the whole code (custom aliases and generated codes)
+export const RESERVED_SHORT_IDS = [
+    'api', 'health', 'metrics', 'admin', 'create', 'shorten', 'popular',
+    'auth', 'login', 'logout', 'register', 'signup', 'account', 'settings', 'dashboard',
+    'keys', 'links', 'domains', 'webhooks', 'rules', 'bulk', 'export', 'stats', 'qr',
+    'static', 'assets', 'public', 'favicon', 'robots', 'sitemap', 'www', 'app', 'help', 'support'
+];
+
+// Matched anywhere inside generated codes, after undoing common digit-for-letter swaps
+const BLOCKED_WORDS = [
+    'anal', 'anus', 'arse', 'ass', 'bitch', 'boob', 'butt', 'cock', 'crap', 'cum', 'cunt',
+    'damn', 'dick', 'dildo', 'fag', 'fuck', 'hell', 'homo', 'jizz', 'kkk', 'nazi', 'nigg',
+    'penis', 'piss', 'poop', 'porn', 'pussy', 'rape', 'sex', 'shit', 'slut', 'tit', 'twat',
+    'vagina', 'wank', 'whore'
+];
+
+const LOOKALIKE_LETTERS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b' };
+
+export const isReservedShortId = (shortId) => RESERVED_SHORT_IDS.includes(shortId.toLowerCase());
+
+// Generated codes are thrown away and regenerated when this returns true, so false positives are cheap
+export const isBlockedShortCode = (code) => {
+    if (isReservedShortId(code)) return true;
+
+    const lettersOnly = code.toLowerCase().replace(/[0-9]/g, digit => LOOKALIKE_LETTERS[digit] ?? digit);
+    return BLOCKED_WORDS.some(word => lettersOnly.includes(word));
+};
@@ -0,0 +1,115 @@
+// Per-visitor destinations: an ordered list of rules on a link, first match wins, full_url otherwise
+
+import { parseUserAgent, DEVICE_TYPES, OS_NAMES } from './userAgent.js';
+import { validateUrl } from './url.js';
+
+const MAX_TARGETS = 20;
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+// Language tags from an Accept-Language header, most preferred first ("*" and q=0 dropped)
+export const parseAcceptLanguage = (header) => {
+    if (!header) return [];
+
+    return header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find(param => param.trim().startsWith('q='));
+            const q = qParam ? Number.parseFloat(qParam.trim().slice(2)) : 1;
+            return { tag: tag.trim().toLowerCase(), q: Number.isNaN(q) ? 0 : q, index };
+        })
+        .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(({ tag }) => tag);
+};
+
+// What targeting rules can see about a request
+export const getVisitorContext = (req) => {
+    const { os, device } = parseUserAgent(req.get('user-agent'));
+    return { os, device, language: parseAcceptLanguage(req.get('accept-language'))[0] ?? null };
+};
+
+// "pt" matches pt, pt-br, pt-pt; "pt-br" only matches pt-br
+const languageMatches = (ruleLanguage, language) =>
+    !!language && (language === ruleLanguage || language.startsWith(`${ruleLanguage}-`));
+
+// Every condition a rule sets must match; a list matches if any of its values does
+const ruleMatches = (rule, visitor) =>
+    (!rule.device?.length || rule.device.includes(visitor.device)) &&
+    (!rule.os?.length || rule.os.includes(visitor.os)) &&
+    (!rule.language?.length || rule.language.some(language => languageMatches(language, visitor.language)));
+
+// URL of the first matching rule, or null to fall back to full_url
+export const selectTarget = (targets, visitor) => {
+    if (!targets?.length) return null;
+    return targets.find(rule => ruleMatches(rule, visitor))?.url ?? null;
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Condition values, case-insensitively mapped onto their canonical spelling
+const normalizeCondition = (value, allowed, name) => {
+    if (value === undefined || value === null) return { valid: true, value: undefined };
+
+    const normalized = [];
+    for (const item of toList(value)) {
+        const match = typeof item === 'string' && allowed.find(option => option.toLowerCase() === item.trim().toLowerCase());
+        if (!match) {
+            return { valid: false, error: `${name} must be one of: ${allowed.join(', ')}` };
+        }
+        normalized.push(match);
+    }
+    return { valid: true, value: normalized.length ? normalized : undefined };
+};
+
+const normalizeLanguages = (value) => {
+    if (value === undefined || value === null) return { valid: true, value: undefined };
+
+    const normalized = [];
+    for (const item of toList(value)) {
+        const tag = typeof item === 'string' ? item.trim().toLowerCase() : '';
+        if (!LANGUAGE_TAG_PATTERN.test(tag)) {
+            return { valid: false, error: 'language must be a language tag like en or pt-BR' };
+        }
+        normalized.push(tag);
+    }
+    return { valid: true, value: normalized.length ? normalized : undefined };
+};
+
+// Validate a link's targeting rules ([{ url, device?, os?, language? }]); null clears them
+export const validateTargets = (targets) => {
+    if (targets === null) return { valid: true, value: [] };
+    if (!Array.isArray(targets)) {
+        return { valid: false, error: 'targets must be an array of rules' };
+    }
+    if (targets.length > MAX_TARGETS) {
+        return { valid: false, error: `A link can have at most ${MAX_TARGETS} targeting rules` };
+    }
+
+    const value = [];
+    for (const [index, rule] of targets.entries()) {
+        const label = `targets[${index}]`;
+        if (!rule || typeof rule !== 'object') {
+            return { valid: false, error: `${label} must be an object` };
+        }
+
+        const urlValidation = validateUrl(rule.url);
+        if (!urlValidation.valid) {
+            return { valid: false, error: `${label}.url: ${urlValidation.error}` };
+        }
+
+        const device = normalizeCondition(rule.device, DEVICE_TYPES, 'device');
+        const os = normalizeCondition(rule.os, OS_NAMES, 'os');
+        const language = normalizeLanguages(rule.language);
+        const invalid = [device, os, language].find(result => !result.valid);
+        if (invalid) {
+            return { valid: false, error: `${label}.${invalid.error}` };
+        }
+        if (!device.value && !os.value && !language.value) {
+            return { valid: false, error: `${label} needs at least one of device, os or language` };
+        }
+
+        value.push({ url: urlValidation.url, device: device.value, os: os.value, language: language.value });
+    }
+
+    return { valid: true, value };
+};
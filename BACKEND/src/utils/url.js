@@ -0,0 +1,126 @@
+import { domainToASCII } from "url";
+import { BlockList, isIP } from "net";
+import dns from "dns";
+
+const MAX_URL_LENGTH = 2048;
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9-]+\.)*[a-z0-9-]+$/;
+
+// Addresses the server must never be made to call on a user's behalf: loopback, private networks,
+// link-local (cloud metadata endpoints), carrier-grade NAT, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const NON_PUBLIC_ADDRESSES = new BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Validate a destination URL and return its canonical form (WHATWG serialization:
+// lowercased host, default port dropped, IDN hosts converted to punycode)
+export const validateUrl = (url) => {
+    if (typeof url !== 'string' || !url.trim()) {
+        return { valid: false, error: 'URL is required' };
+    }
+
+    const trimmed = url.trim();
+    if (trimmed.length > MAX_URL_LENGTH) {
+        return { valid: false, error: `URL must be at most ${MAX_URL_LENGTH} characters long` };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch {
+        return { valid: false, error: 'URL is malformed - include the scheme, e.g. https://example.com' };
+    }
+
+    if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+        return { valid: false, error: `URL scheme '${parsed.protocol.replace(':', '')}' is not allowed - only http and https are supported` };
+    }
+
+    if (!parsed.hostname) {
+        return { valid: false, error: 'URL must include a host' };
+    }
+
+    // user:pass@host is a classic way to disguise the real destination
+    if (parsed.username || parsed.password) {
+        return { valid: false, error: 'URLs with embedded credentials are not allowed' };
+    }
+
+    // Punycode can make the canonical form longer than the input
+    const normalized = parsed.href;
+    if (normalized.length > MAX_URL_LENGTH) {
+        return { valid: false, error: `URL must be at most ${MAX_URL_LENGTH} characters long once normalized` };
+    }
+
+    return { valid: true, url: normalized };
+};
+
+// Guard for redirects to destinations stored before validation existed
+export const isSafeRedirectUrl = (url) => {
+    try {
+        return ALLOWED_PROTOCOLS.includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Lowercased punycode form of a bare hostname (e.g. go.example.com), or null if it isn't one
+export const normalizeHostname = (value) => {
+    if (typeof value !== 'string') return null;
+    const hostname = domainToASCII(value.trim().toLowerCase().replace(/\.$/, ''));
+    return HOSTNAME_PATTERN.test(hostname) ? hostname : null;
+};
+
+// Add the query string a visitor sent to the short URL onto the destination. Parameters the
+// destination already sets win, so visitors can't override them (an affiliate id, say); incoming
+// names the destination doesn't set are appended in order, repeats included. The destination's
+// own query string is kept byte for byte.
+export const appendQueryParams = (destination, search) => {
+    const incoming = new URLSearchParams(search);
+    const target = new URL(destination);
+    const existing = new Set(target.searchParams.keys());
+
+    const extra = new URLSearchParams();
+    for (const [name, value] of incoming) {
+        if (!existing.has(name)) extra.append(name, value);
+    }
+
+    const extraQuery = extra.toString();
+    if (!extraQuery) return destination;
+    target.search = target.search ? `${target.search}&${extraQuery}` : extraQuery;
+    return target.href;
+};
+
+export const isPublicAddress = (address) => {
+    const family = isIP(address);
+    return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Drop-in for dns.lookup (the `lookup` option of http.request) that fails for hosts resolving to a
+// non-public address. Checking at connect time means a DNS change after validation can't get around it.
+export const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!addresses.every(entry => isPublicAddress(entry.address))) {
+            const blocked = new Error(`${hostname} resolves to a private or local address`);
+            blocked.code = 'ENONPUBLIC';
+            return callback(blocked);
+        }
+        callback(null, address, family);
+    });
+};
+
+// true when every address of the URL's host is public; IP literals skip DNS (and lookupPublicAddress)
+export const hasPublicHost = async (url) => {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (isIP(hostname)) return isPublicAddress(hostname);
+
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.every(entry => isPublicAddress(entry.address));
+};
@@ -0,0 +1,48 @@
+// Lightweight User-Agent parsing - enough for analytics breakdowns, not a full UA database
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|preview|curl|wget|python-requests|axios|go-http-client|headless/i;
+
+// Order matters: many browsers include "Chrome" and "Safari" tokens
+const BROWSERS = [
+    { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+    { name: 'Opera', pattern: /OPR\/|Opera/ },
+    { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+    { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+    { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+    { name: 'Safari', pattern: /Version\/[\d.]+.*Safari\// },
+    { name: 'Internet Explorer', pattern: /MSIE |Trident\// },
+];
+
+export const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'bot', 'unknown'];
+
+const OPERATING_SYSTEMS = [
+    { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+    { name: 'Android', pattern: /Android/ },
+    { name: 'Chrome OS', pattern: /CrOS/ },
+    { name: 'Windows', pattern: /Windows/ },
+    { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+    { name: 'Linux', pattern: /Linux/ },
+];
+
+export const OS_NAMES = [...OPERATING_SYSTEMS.map(o => o.name), 'Other'];
+
+const detectDevice = (ua) => {
+    if (BOT_PATTERN.test(ua)) return 'bot';
+    if (/iPad|Tablet|Android(?!.*Mobile)/i.test(ua)) return 'tablet';
+    if (/Mobi|iPhone|iPod|Android.*Mobile|Windows Phone/i.test(ua)) return 'mobile';
+    if (/Windows|Macintosh|X11|CrOS|Linux/.test(ua)) return 'desktop';
+    return 'unknown';
+};
+
+export const parseUserAgent = (userAgent) => {
+    const ua = userAgent || '';
+    if (!ua) {
+        return { browser: 'Other', os: 'Other', device: 'unknown' };
+    }
+
+    return {
+        browser: BROWSERS.find(b => b.pattern.test(ua))?.name || 'Other',
+        os: OPERATING_SYSTEMS.find(o => o.pattern.test(ua))?.name || 'Other',
+        device: detectDevice(ua)
+    };
+};
@@ -0,0 +1,67 @@
+// A/B split links: several destinations with weights; each visitor sticks to the variant they got first
+
+import crypto from 'crypto';
+import { validateUrl } from './url.js';
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 1000;
+const VARIANT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+// Variant to serve: the sticky one while it still exists and has weight, otherwise a weighted random pick
+export const pickVariant = (variants, stickyName) => {
+    const sticky = stickyName && variants.find(variant => variant.name === stickyName && variant.weight > 0);
+    if (sticky) return sticky;
+
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let roll = crypto.randomInt(total);
+    for (const variant of variants) {
+        if (roll < variant.weight) return variant;
+        roll -= variant.weight;
+    }
+    return variants[variants.length - 1];
+};
+
+// Validate a link's variants ([{ url, weight, name? }]); names default to A, B, C...; null clears them
+export const validateVariants = (variants) => {
+    if (variants === null) return { valid: true, value: [] };
+    if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+        return { valid: false, error: `variants must be an array of ${MIN_VARIANTS} to ${MAX_VARIANTS} destinations` };
+    }
+
+    const value = [];
+    const names = new Set();
+    for (const [index, variant] of variants.entries()) {
+        const label = `variants[${index}]`;
+        if (!variant || typeof variant !== 'object') {
+            return { valid: false, error: `${label} must be an object` };
+        }
+
+        const urlValidation = validateUrl(variant.url);
+        if (!urlValidation.valid) {
+            return { valid: false, error: `${label}.url: ${urlValidation.error}` };
+        }
+
+        // 0 pauses a variant; its sticky visitors are re-assigned
+        if (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > MAX_WEIGHT) {
+            return { valid: false, error: `${label}.weight must be an integer between 0 and ${MAX_WEIGHT}` };
+        }
+
+        const name = variant.name ?? String.fromCharCode(65 + index);
+        if (typeof name !== 'string' || !VARIANT_NAME_PATTERN.test(name)) {
+            return { valid: false, error: `${label}.name can only contain letters, numbers, hyphens and underscores (max 32)` };
+        }
+        if (names.has(name)) {
+            return { valid: false, error: `Variant name '${name}' is used more than once` };
+        }
+        names.add(name);
+
+        value.push({ name, url: urlValidation.url, weight: variant.weight });
+    }
+
+    if (value.every(variant => variant.weight === 0)) {
+        return { valid: false, error: 'At least one variant needs a weight above 0' };
+    }
+
+    return { valid: true, value };
+};